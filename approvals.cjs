@@ -0,0 +1,52 @@
+const bcrypt = require("bcryptjs");
+const { isDisabledStatus } = require("./auth.cjs");
+const { getRolePermissions, hasPermission } = require("./permissions.cjs");
+const { userRetryAfter, recordUserFailure, clearUserFailures } = require("./throttle.cjs");
+
+// Build an error carrying an HTTP status and optional details for the route to return
+function approvalError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = "APPROVAL_REJECTED";
+  Object.assign(error, details);
+  return error;
+}
+
+// Check the credentials a manager entered at the till to approve an action that needs the
+// permission, returning the approving user. Failed attempts count towards the login lockout,
+// so call this outside any transaction that might roll back.
+async function verifyApproval(db, approval, permission) {
+  if (!approval || !approval.username || !approval.password) {
+    throw approvalError(400, "Approval needs the manager's username and password.");
+  }
+
+  const [[user]] = await db.query(
+    `SELECT u.*, COALESCE(r.role, u.role) AS role
+     FROM users u
+     LEFT JOIN userroles r ON r.id = u.roleid
+     WHERE u.username = ?`,
+    [approval.username]
+  );
+  if (!user || isDisabledStatus(user.status)) {
+    throw approvalError(403, "Approval failed.");
+  }
+
+  const { retryAfter } = userRetryAfter(user);
+  if (retryAfter > 0) {
+    throw approvalError(429, "Too many failed attempts. Please try again later.", { retryAfter });
+  }
+
+  if (!(await bcrypt.compare(approval.password, user.password))) {
+    await recordUserFailure(db, user);
+    throw approvalError(403, "Approval failed.");
+  }
+  await clearUserFailures(db, user.id);
+
+  if (!hasPermission(getRolePermissions(user.role), permission)) {
+    throw approvalError(403, `${user.username} is not allowed to approve this.`, { permission });
+  }
+
+  return { id: user.id, username: user.username };
+}
+
+module.exports = { verifyApproval };
@@ -0,0 +1,107 @@
+// Entities that are archived instead of deleted, and the documents that still reference them.
+// A reference may narrow its count with an SQL condition.
+const archivableEntities = {
+  product: {
+    table: "products",
+    key: "sku",
+    references: [
+      { label: "invoice lines", table: "cart_items", column: "sku" },
+      { label: "purchase order lines", table: "purchaseorderdetails", column: "ProductCode" },
+      { label: "goods receipt lines", table: "goods_receipt_lines", column: "sku" },
+      { label: "stock movements", table: "inventory_movements", column: "sku" },
+      { label: "stock balances", table: "stock_balances", column: "sku" },
+      { label: "stock lots", table: "stock_lots", column: "sku" },
+      { label: "cost layers", table: "cost_layers", column: "sku" },
+      { label: "transfer lines", table: "stock_transfer_lines", column: "sku" },
+      { label: "stocktake lines", table: "stocktake_lines", column: "sku" },
+      { label: "reservation lines", table: "stock_reservation_lines", column: "sku" },
+      { label: "credit note lines", table: "credit_note_lines", column: "sku" },
+    ],
+  },
+  customer: {
+    table: "customers",
+    key: "code",
+    references: [
+      { label: "invoices", table: "sales_invoices", column: "customer_id" },
+      { label: "credit notes", table: "credit_notes", column: "customer_id" },
+      { label: "store credit history", table: "customer_credit_ledger", column: "customer_code" },
+      { label: "reservations", table: "stock_reservations", column: "customer_code" },
+      // A customer still owed store credit keeps their record
+      { label: "store credit balance", table: "customers", column: "code", condition: "store_credit <> 0" },
+    ],
+  },
+  supplier: {
+    table: "suppliers",
+    key: "code",
+    references: [{ label: "purchase orders", table: "purchaseorder", column: "SupplierCode" }],
+  },
+  category: {
+    table: "productcategories",
+    key: "id",
+    // Products may store either the category id or its name
+    references: [
+      { label: "products", table: "products", column: "category", values: (row) => [row.id, row.Category] },
+    ],
+  },
+  location: {
+    table: "locations",
+    key: "id",
+    references: [
+      { label: "stock balances", table: "stock_balances", column: "location_id" },
+      { label: "stock movements", table: "inventory_movements", column: "location_id" },
+      { label: "invoices", table: "sales_invoices", column: "location_id" },
+    ],
+  },
+};
+
+// Mark a record as archived, returning false if it does not exist or is already archived
+async function archiveRecord(db, entity, key, userId) {
+  const { table, key: keyColumn } = archivableEntities[entity];
+  const [result] = await db.query(
+    `UPDATE ${table} SET archived_at = NOW(), archived_by = ? WHERE ${keyColumn} = ? AND archived_at IS NULL`,
+    [userId, key]
+  );
+  return result.affectedRows > 0;
+}
+
+// Bring an archived record back, returning false if it is not archived
+async function restoreRecord(db, entity, key) {
+  const { table, key: keyColumn } = archivableEntities[entity];
+  const [result] = await db.query(
+    `UPDATE ${table} SET archived_at = NULL, archived_by = NULL WHERE ${keyColumn} = ? AND archived_at IS NOT NULL`,
+    [key]
+  );
+  return result.affectedRows > 0;
+}
+
+// Count the documents that still reference a record, listing only the non-zero ones
+async function countReferences(db, entity, row) {
+  const { key, references } = archivableEntities[entity];
+  const found = [];
+
+  for (const reference of references) {
+    const values = reference.values ? reference.values(row) : [row[key]];
+    const [[{ count }]] = await db.query(
+      `SELECT COUNT(*) AS count FROM ${reference.table}
+       WHERE ${reference.column} IN (?) ${reference.condition ? `AND ${reference.condition}` : ""}`,
+      [values]
+    );
+    if (count > 0) {
+      found.push({ label: reference.label, count });
+    }
+  }
+
+  return found;
+}
+
+// Permanently delete an archived record
+async function purgeRecord(db, entity, key) {
+  const { table, key: keyColumn } = archivableEntities[entity];
+  const [result] = await db.query(
+    `DELETE FROM ${table} WHERE ${keyColumn} = ? AND archived_at IS NOT NULL`,
+    [key]
+  );
+  return result.affectedRows > 0;
+}
+
+module.exports = { archivableEntities, archiveRecord, restoreRecord, countReferences, purgeRecord };
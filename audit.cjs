@@ -0,0 +1,47 @@
+// Columns that must never be copied into the audit log
+const hiddenColumns = ["password", "totp_secret", "totp_last_step", "token_version"];
+
+// Drop secrets from a row before it is stored
+function sanitize(data) {
+  if (!data || typeof data !== "object") {
+    return data ?? null;
+  }
+
+  const copy = { ...data };
+  for (const column of hiddenColumns) {
+    delete copy[column];
+  }
+  return copy;
+}
+
+// Load the current state of a row so it can be recorded as the "before" value
+async function snapshot(db, table, keyColumn, key) {
+  const [rows] = await db.query(`SELECT * FROM ${table} WHERE ${keyColumn} = ?`, [key]);
+  return rows[0] || null;
+}
+
+// Record who did what to which record. Failures are logged but never fail the request.
+async function recordAudit(db, req, { action, entity, entityKey = null, before = null, after = null, actor = null }) {
+  const user = actor || req.user || {};
+
+  try {
+    await db.query(
+      `INSERT INTO audit_log (user_id, username, action, entity, entity_key, before_data, after_data, ip_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user.id || null,
+        user.username || null,
+        action,
+        entity,
+        entityKey === null ? null : String(entityKey),
+        before ? JSON.stringify(sanitize(before)) : null,
+        after ? JSON.stringify(sanitize(after)) : null,
+        req.ip || null,
+      ]
+    );
+  } catch (error) {
+    console.error("Error writing audit log:", error);
+  }
+}
+
+module.exports = { snapshot, recordAudit };
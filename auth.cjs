@@ -0,0 +1,315 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const SSHDBConnection = require("./db.cjs");
+const { userOnlyPermissions, getRolePermissions, hasPermission } = require("./permissions.cjs");
+
+const jwtSecret = process.env.JWT_SECRET || "default_secret";
+const accessTokenTtl = process.env.ACCESS_TOKEN_TTL || "1h";
+const refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+const challengeTokenTtl = "5m";
+
+// Pending account actions that lock a session down to a few routes until they are done
+const pendingActions = [
+  {
+    applies: (user) => user.must_change_password,
+    code: "PASSWORD_CHANGE_REQUIRED",
+    message: "You must change your password before continuing.",
+    routes: ["/api/change-password", "/api/me", "/api/logout"],
+  },
+  {
+    applies: (user) => user.requires_2fa && !user.totp_enabled,
+    code: "TWO_FACTOR_SETUP_REQUIRED",
+    message: "Your role requires two-factor authentication. Please set it up before continuing.",
+    routes: ["/api/2fa/setup", "/api/2fa/enable", "/api/me", "/api/logout"],
+  },
+];
+
+// Send a 401 response with a machine-readable code the frontend can act on
+function unauthorized(res, code, message) {
+  return res.status(401).json({ code, message });
+}
+
+// Check whether a users.status value marks the account as disabled
+function isDisabledStatus(status) {
+  return status !== null && status !== undefined && Number(status) === 0;
+}
+
+// Refresh and reset tokens are random, so a plain SHA-256 is enough to store them safely
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Sign a short-lived access token for the user
+function signAccessToken(user) {
+  return jwt.sign(
+    { id: user.id, username: user.username, role: user.role, tv: user.token_version },
+    jwtSecret,
+    { expiresIn: accessTokenTtl, jwtid: uuidv4() }
+  );
+}
+
+// Sign the short-lived token that carries a user from the password step to the 2FA step of login
+function signChallengeToken(user) {
+  return jwt.sign(
+    { id: user.id, purpose: "2fa", tv: user.token_version },
+    jwtSecret,
+    { expiresIn: challengeTokenTtl }
+  );
+}
+
+// Verify a 2FA challenge token, returning its payload or null
+function verifyChallengeToken(token) {
+  try {
+    const payload = jwt.verify(token, jwtSecret);
+    return payload.purpose === "2fa" ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Create and store a new refresh token for the user
+async function issueRefreshToken(db, userId) {
+  const token = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+  const [result] = await db.query(
+    "INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)",
+    [userId, hashToken(token), expiresAt]
+  );
+
+  return { id: result.insertId, token };
+}
+
+// Exchange a refresh token for a new one, returning the owning user id or null.
+// Call inside a transaction.
+async function rotateRefreshToken(db, token) {
+  const [rows] = await db.query(
+    "SELECT * FROM refresh_tokens WHERE token_hash = ?",
+    [hashToken(token)]
+  );
+  const stored = rows[0];
+
+  if (!stored || new Date(stored.expires_at) <= new Date()) {
+    return null;
+  }
+
+  // Claim the token before issuing its replacement, so only one of two concurrent refreshes wins
+  const [claimed] = await db.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+    [stored.id]
+  );
+
+  if (claimed.affectedRows !== 1) {
+    // A rotated token being replayed means it leaked, so end every session of that user
+    await revokeAllUserTokens(db, stored.user_id);
+    return null;
+  }
+
+  const replacement = await issueRefreshToken(db, stored.user_id);
+  await db.query(
+    "UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?",
+    [replacement.id, stored.id]
+  );
+
+  return { userId: stored.user_id, refreshToken: replacement.token };
+}
+
+// Revoke a single refresh token
+async function revokeRefreshToken(db, token) {
+  await db.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL",
+    [hashToken(token)]
+  );
+}
+
+// Put an access token on the revocation list until it would have expired anyway
+async function revokeAccessToken(db, payload) {
+  if (!payload.jti) {
+    return;
+  }
+
+  await db.query("DELETE FROM revoked_tokens WHERE expires_at < NOW()");
+  await db.query(
+    "INSERT IGNORE INTO revoked_tokens (jti, user_id, expires_at) VALUES (?, ?, ?)",
+    [payload.jti, payload.id, new Date(payload.exp * 1000)]
+  );
+}
+
+// Invalidate every access and refresh token issued to the user
+async function revokeAllUserTokens(db, userId) {
+  await db.query("UPDATE users SET token_version = token_version + 1 WHERE id = ?", [userId]);
+  await db.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+    [userId]
+  );
+}
+
+// Create a new API key, returning the full key which is only ever shown once
+async function createApiKey(db, name, scopes, createdBy) {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("hex");
+  const keyHash = await bcrypt.hash(secret, 10);
+
+  const [result] = await db.query(
+    "INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by) VALUES (?, ?, ?, ?, ?)",
+    [name, prefix, keyHash, JSON.stringify(scopes), createdBy]
+  );
+
+  return { id: result.insertId, key: `rf_${prefix}_${secret}` };
+}
+
+// Authenticate a request carrying an API key, acting with the key's scopes as permissions
+async function authenticateApiKey(req, res, next, apiKey) {
+  const [, prefix, secret] = /^rf_([0-9a-f]{8})_([0-9a-f]+)$/.exec(apiKey) || [];
+
+  if (!prefix) {
+    return unauthorized(res, "API_KEY_INVALID", "Invalid API key.");
+  }
+
+  try {
+    const db = await SSHDBConnection;
+    const [rows] = await db.query(
+      "SELECT * FROM api_keys WHERE key_prefix = ? AND revoked_at IS NULL",
+      [prefix]
+    );
+
+    if (rows.length === 0 || !(await bcrypt.compare(secret, rows[0].key_hash))) {
+      return unauthorized(res, "API_KEY_INVALID", "Invalid API key.");
+    }
+
+    const key = rows[0];
+    await db.query("UPDATE api_keys SET last_used_at = NOW() WHERE id = ?", [key.id]);
+
+    // Keys created before user-only permissions were refused do not keep them
+    const scopes = (typeof key.scopes === "string" ? JSON.parse(key.scopes) : key.scopes).filter(
+      (scope) => !userOnlyPermissions.includes(scope)
+    );
+    req.user = { id: null, username: `api-key:${key.name}`, role: null, apiKeyId: key.id, permissions: scopes };
+    next();
+  } catch (error) {
+    console.error("Error authenticating API key:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+}
+
+// Verify the bearer token or API key and attach the caller and their permissions to the request
+async function authenticate(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+  if (req.headers["x-api-key"] || scheme === "ApiKey") {
+    return authenticateApiKey(req, res, next, req.headers["x-api-key"] || token || "");
+  }
+
+  if (scheme !== "Bearer" || !token) {
+    return unauthorized(res, "AUTH_REQUIRED", "Authentication required.");
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret);
+    if (payload.purpose) {
+      throw new Error("Not an access token");
+    }
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return unauthorized(res, "TOKEN_EXPIRED", "Session expired. Please log in again.");
+    }
+    return unauthorized(res, "TOKEN_INVALID", "Invalid authentication token.");
+  }
+
+  try {
+    const db = await SSHDBConnection;
+    const [rows] = await db.query(
+      `SELECT u.id, u.username, u.email, u.status, u.roleid, u.token_version,
+         u.must_change_password, u.totp_enabled, r.requires_2fa, COALESCE(r.role, u.role) AS role
+       FROM users u
+       LEFT JOIN userroles r ON r.id = u.roleid
+       WHERE u.id = ?`,
+      [payload.id]
+    );
+
+    if (rows.length === 0) {
+      return unauthorized(res, "USER_NOT_FOUND", "User no longer exists.");
+    }
+
+    const user = rows[0];
+
+    if (payload.tv !== user.token_version) {
+      return unauthorized(res, "TOKEN_REVOKED", "Session has been revoked. Please log in again.");
+    }
+
+    const [revoked] = await db.query("SELECT jti FROM revoked_tokens WHERE jti = ?", [payload.jti]);
+    if (revoked.length > 0) {
+      return unauthorized(res, "TOKEN_REVOKED", "Session has been revoked. Please log in again.");
+    }
+
+    const pendingAction = pendingActions.find((action) => action.applies(user));
+    if (pendingAction && !pendingAction.routes.includes(req.baseUrl + req.path)) {
+      return res.status(403).json({ code: pendingAction.code, message: pendingAction.message });
+    }
+
+    delete user.token_version;
+    req.user = { ...user, permissions: getRolePermissions(user.role) };
+    req.tokenPayload = payload;
+    next();
+  } catch (error) {
+    console.error("Error authenticating request:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+}
+
+// Reject callers using an API key on routes that act on the caller's own user account
+function requireUserSession(req, res, next) {
+  if (!req.user) {
+    return unauthorized(res, "AUTH_REQUIRED", "Authentication required.");
+  }
+
+  if (req.user.apiKeyId) {
+    return res.status(403).json({
+      code: "USER_SESSION_REQUIRED",
+      message: "This action needs a signed-in user, not an API key.",
+    });
+  }
+
+  next();
+}
+
+// Only allow the request through if the authenticated user holds the permission
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return unauthorized(res, "AUTH_REQUIRED", "Authentication required.");
+    }
+
+    if (!hasPermission(req.user.permissions, permission)) {
+      return res.status(403).json({
+        code: "FORBIDDEN",
+        message: "You do not have permission to perform this action.",
+        permission,
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  jwtSecret,
+  isDisabledStatus,
+  hashToken,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  createApiKey,
+  authenticate,
+  requireUserSession,
+  authorize,
+};
@@ -0,0 +1,58 @@
+// How issued stock is costed (COSTING_METHOD=average or fifo). Both the average cost and the
+// FIFO layers are always kept up to date, so the method can be switched at any time.
+const costingMethod = process.env.COSTING_METHOD === "fifo" ? "fifo" : "average";
+
+// Work out the cost of a stock movement and update the average cost and FIFO layers.
+// product is the locked products row as it was before the movement; unitCost is the known cost
+// of incoming stock (e.g. a purchase receipt), otherwise the average cost is used.
+async function costMovement(db, { sku, type, quantity, unitCost, product }) {
+  const averageCost = Number(product.avg_cost ?? product.cost ?? 0);
+
+  if (quantity === 0) {
+    return { unitCost: averageCost, value: 0 };
+  }
+
+  // Transfers only move stock between locations, so they leave the product's cost alone
+  if (type === "transfer") {
+    const cost = unitCost ?? averageCost;
+    return { unitCost: Number(cost), value: quantity * cost };
+  }
+
+  if (quantity > 0) {
+    const cost = Number(unitCost ?? averageCost);
+    const onHand = Math.max(Number(product.intQty), 0);
+    const newAverage = (onHand * averageCost + quantity * cost) / (onHand + quantity);
+
+    await db.query(
+      "INSERT INTO cost_layers (sku, quantity, remaining, unit_cost) VALUES (?, ?, ?, ?)",
+      [sku, quantity, quantity, cost]
+    );
+    await db.query("UPDATE products SET avg_cost = ? WHERE sku = ?", [newAverage, sku]);
+    return { unitCost: cost, value: quantity * cost };
+  }
+
+  const issued = -quantity;
+  const [layers] = await db.query(
+    "SELECT id, remaining, unit_cost FROM cost_layers WHERE sku = ? AND remaining > 0 ORDER BY id FOR UPDATE",
+    [sku]
+  );
+
+  let remaining = issued;
+  let fifoCost = 0;
+  for (const layer of layers) {
+    if (remaining === 0) {
+      break;
+    }
+    const take = Math.min(Number(layer.remaining), remaining);
+    await db.query("UPDATE cost_layers SET remaining = remaining - ? WHERE id = ?", [take, layer.id]);
+    fifoCost += take * Number(layer.unit_cost);
+    remaining -= take;
+  }
+  // Stock issued beyond the layers (negative stock) is costed at the average
+  fifoCost += remaining * averageCost;
+
+  const cost = costingMethod === "fifo" ? fifoCost : issued * averageCost;
+  return { unitCost: cost / issued, value: -cost };
+}
+
+module.exports = { costingMethod, costMovement };
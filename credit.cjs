@@ -0,0 +1,32 @@
+// Change a customer's store credit and record it in the credit ledger, refusing to take the
+// balance below zero. Returns the new balance. Call inside a transaction.
+async function adjustStoreCredit(db, { customerCode, amount, referenceType = null, referenceCode = null, user = {} }) {
+  const [[customer]] = await db.query(
+    "SELECT store_credit FROM customers WHERE code = ? FOR UPDATE",
+    [customerCode]
+  );
+  if (!customer) {
+    const error = new Error(`Customer ${customerCode} not found.`);
+    error.status = 404;
+    throw error;
+  }
+
+  const balance = Math.round((Number(customer.store_credit) + Number(amount)) * 100) / 100;
+  if (balance < 0) {
+    const error = new Error(`Customer ${customerCode} has only ${customer.store_credit} store credit.`);
+    error.status = 409;
+    error.code = "INSUFFICIENT_CREDIT";
+    throw error;
+  }
+
+  await db.query("UPDATE customers SET store_credit = ? WHERE code = ?", [balance, customerCode]);
+  await db.query(
+    `INSERT INTO customer_credit_ledger (customer_code, amount, balance_after, reference_type, reference_code, user_id)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [customerCode, amount, balance, referenceType, referenceCode, user.id || null]
+  );
+
+  return balance;
+}
+
+module.exports = { adjustStoreCredit };
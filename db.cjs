@@ -2,6 +2,7 @@ const dotenv = require("dotenv");
 const mysql = require("mysql2/promise");
 const { Client } = require("ssh2");
 const fs = require("fs");
+const net = require("net");
 
 dotenv.config();
 
@@ -43,44 +44,75 @@ const forwardConfig = {
 
 const maxRetries = 2;
 
+// Connections each pool may open (DB_POOL_SIZE, default 10)
+const poolSize = parseInt(process.env.DB_POOL_SIZE, 10) || 10;
+
+// Open a pool and run one query so a bad host or login fails here rather than on the first request
+async function openPool(config) {
+    const pool = mysql.createPool({ ...config, connectionLimit: poolSize, waitForConnections: true });
+    try {
+        await pool.query("SELECT 1");
+    } catch (error) {
+        await pool.end().catch(() => {});
+        throw error;
+    }
+    return pool;
+}
+
+// Listen on a local port and forward every socket through the SSH tunnel, so each pooled
+// connection gets its own forwarded stream
+function startTunnelListener() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer((socket) => {
+            sshClient.forwardOut(
+                forwardConfig.srcHost,
+                forwardConfig.srcPort,
+                forwardConfig.dstHost,
+                forwardConfig.dstPort,
+                (err, stream) => {
+                    if (err) {
+                        console.error("SSH Tunnel failed:", err.message);
+                        socket.destroy();
+                        return;
+                    }
+                    socket.pipe(stream).pipe(socket);
+                }
+            );
+        });
+        server.on("error", reject);
+        server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+}
+
 const SSHDBConnection = new Promise((resolve, reject) => {
     let retries = 0;
 
     async function attemptRemoteDbConnection() {
         try {
-            sshClient.on("ready", () => {
+            sshClient.on("ready", async () => {
                 console.log("SSH Client Ready");
 
-                sshClient.forwardOut(
-                    forwardConfig.srcHost,
-                    forwardConfig.srcPort,
-                    forwardConfig.dstHost,
-                    forwardConfig.dstPort,
-                    async (err, stream) => {
-                        if (err) {
-                            console.error("SSH Tunnel failed:", err.message);
-                            handleConnectionFailure();
-                            return;
-                        }
-
-                        const updatedDbServer = { ...dbServer, stream };
-
-                        try {
-                            console.log("Attempting Remote DB Connection...");
-                            const connection = await mysql.createConnection(
-                                updatedDbServer
-                            );
-                            console.log("Remote DB Connection Successful");
-                            resolve(connection);
-                        } catch (error) {
-                            console.error(
-                                "Remote DB connection failed:",
-                                error.message
-                            );
-                            handleConnectionFailure();
-                        }
+                let listener;
+                try {
+                    listener = await startTunnelListener();
+                    console.log("Attempting Remote DB Connection...");
+                    const pool = await openPool({
+                        ...dbServer,
+                        host: "127.0.0.1",
+                        port: listener.address().port,
+                    });
+                    console.log("Remote DB Connection Successful");
+                    resolve(pool);
+                } catch (error) {
+                    console.error(
+                        "Remote DB connection failed:",
+                        error.message
+                    );
+                    if (listener) {
+                        listener.close();
                     }
-                );
+                    handleConnectionFailure();
+                }
             });
 
             sshClient.on("error", (err) => {
@@ -116,9 +148,9 @@ const SSHDBConnection = new Promise((resolve, reject) => {
 async function connectToLocalDb(resolve, reject) {
     console.log("Attempting Local DB Connection...");
     try {
-        const localConnection = await mysql.createConnection(localDbServer);
+        const localPool = await openPool(localDbServer);
         console.log("Local DB Connection Successful");
-        resolve(localConnection);
+        resolve(localPool);
     } catch (error) {
         console.error("Local DB connection failed:", error.message);
         reject(error);
@@ -0,0 +1,89 @@
+const { recordStockMovement } = require("./stock.cjs");
+const { adjustStoreCredit } = require("./credit.cjs");
+
+// Load an invoice with its customer, location, line items and payments, or null if it does not exist
+async function loadInvoice(db, code) {
+  const [[invoice]] = await db.query(
+    `SELECT i.*, l.name AS location_name
+     FROM sales_invoices i
+     LEFT JOIN locations l ON l.id = i.location_id
+     WHERE i.code = ?`,
+    [code]
+  );
+  if (!invoice) {
+    return null;
+  }
+
+  const [[customer]] = await db.query(
+    "SELECT code, name, email, contact, address, city, country FROM customers WHERE code = ?",
+    [invoice.customer_id]
+  );
+  const [items] = await db.query("SELECT * FROM cart_items WHERE invoice_code = ?", [code]);
+  const [payments] = await db.query(
+    "SELECT method, amount, tendered, change_due, reference FROM invoice_payments WHERE invoice_code = ? ORDER BY id",
+    [code]
+  );
+
+  return { ...invoice, customer: customer || null, items, payments };
+}
+
+// Void an invoice without deleting it: its items go back into stock, into the lots and at the
+// cost they left with, and any store credit it used is given back. Only an invoice with no
+// returns can be voided, since a credit note has already reversed part of it. Call inside a transaction.
+async function voidInvoice(db, code, { reason, approver, user }) {
+  const [[invoice]] = await db.query("SELECT * FROM sales_invoices WHERE code = ? FOR UPDATE", [code]);
+  if (!invoice) {
+    const error = new Error(`Invoice ${code} not found.`);
+    error.status = 404;
+    throw error;
+  }
+  if (invoice.status !== "completed") {
+    const error = new Error(`Invoice ${code} is ${invoice.status} and cannot be voided.`);
+    error.status = 409;
+    error.code = "INVALID_STATUS";
+    throw error;
+  }
+
+  const [items] = await db.query("SELECT * FROM cart_items WHERE invoice_code = ? ORDER BY sku", [code]);
+  for (const item of items) {
+    await recordStockMovement(db, {
+      sku: item.sku,
+      type: "void",
+      quantity: Number(item.quantity),
+      reason: `Invoice ${code} voided`,
+      referenceType: "invoice",
+      referenceCode: code,
+      user,
+      locationId: invoice.location_id,
+      unitCost: item.unit_cost,
+      lot: item.lot_number ? { lotNumber: item.lot_number, expiryDate: item.expiry_date } : null,
+    });
+  }
+
+  // Give back whatever store credit the invoice took from the customer
+  const [[credit]] = await db.query(
+    `SELECT SUM(amount) AS amount FROM customer_credit_ledger
+     WHERE reference_type = 'invoice' AND reference_code = ?`,
+    [code]
+  );
+  if (credit.amount !== null && Number(credit.amount) !== 0) {
+    await adjustStoreCredit(db, {
+      customerCode: invoice.customer_id,
+      amount: -Number(credit.amount),
+      referenceType: "invoice-void",
+      referenceCode: code,
+      user,
+    });
+  }
+
+  await db.query(
+    `UPDATE sales_invoices
+     SET status = 'void', void_reason = ?, voided_by = ?, void_approved_by = ?, voided_at = NOW()
+     WHERE code = ?`,
+    [reason, user.id || null, approver.id, code]
+  );
+
+  return { before: invoice, after: { ...invoice, status: "void", void_reason: reason, void_approved_by: approver.id } };
+}
+
+module.exports = { loadInvoice, voidInvoice };
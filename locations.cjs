@@ -0,0 +1,159 @@
+const { recordStockMovement, deductStock } = require("./stock.cjs");
+const { allocateLots, consumeAllocations, addToLot } = require("./lots.cjs");
+
+// Build an error carrying an HTTP status and optional details for the route to return
+function locationError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+// Find an active location by id, or the default location when no id is given
+async function resolveLocation(db, locationId) {
+  const [[location]] =
+    locationId === undefined || locationId === null || locationId === ""
+      ? await db.query("SELECT * FROM locations WHERE is_default = 1 LIMIT 1")
+      : await db.query("SELECT * FROM locations WHERE id = ? AND archived_at IS NULL", [locationId]);
+
+  if (!location) {
+    throw locationError(404, `Location ${locationId ?? "(default)"} not found.`, { code: "LOCATION_NOT_FOUND" });
+  }
+  return location;
+}
+
+// Dispatch a transfer: stock leaves the source location now and is in transit until received.
+// Call inside a transaction.
+async function dispatchTransfer(db, { code, fromLocationId, toLocationId, lines, notes, user }) {
+  const from = await resolveLocation(db, fromLocationId);
+  const to = await resolveLocation(db, toLocationId);
+  if (from.id === to.id) {
+    throw locationError(400, "A transfer needs two different locations.");
+  }
+
+  await db.query(
+    `INSERT INTO stock_transfers (code, from_location_id, to_location_id, status, notes, created_by)
+     VALUES (?, ?, ?, 'in_transit', ?, ?)`,
+    [code, from.id, to.id, notes || null, user.id || null]
+  );
+  await db.query(
+    "INSERT INTO stock_transfer_lines (transfer_code, sku, quantity) VALUES ?",
+    [lines.map((line) => [code, line.sku, Number(line.quantity)])]
+  );
+
+  // Lots travel with the stock, expired ones included, so the destination receives the same lots
+  const allocated = await allocateLots(db, lines, from.id, { includeExpired: true });
+  for (const { line, allocations } of allocated) {
+    await consumeAllocations(db, allocations);
+    for (const allocation of allocations.filter((item) => item.lotNumber)) {
+      await db.query(
+        `INSERT INTO stock_transfer_lots (transfer_code, sku, lot_number, expiry_date, quantity)
+         VALUES (?, ?, ?, ?, ?)`,
+        [code, line.sku, allocation.lotNumber, allocation.expiryDate, allocation.quantity]
+      );
+    }
+  }
+
+  const costs = await deductStock(db, lines, {
+    type: "transfer",
+    reason: `Transfer to ${to.name}`,
+    referenceType: "transfer",
+    referenceCode: code,
+    user,
+    locationId: from.id,
+    allowNegative: false,
+    lotsAllocated: true,
+  });
+
+  // The stock arrives at the cost it left with
+  for (const { sku, unitCost } of costs) {
+    await db.query(
+      "UPDATE stock_transfer_lines SET unit_cost = ? WHERE transfer_code = ? AND sku = ?",
+      [unitCost, code, sku]
+    );
+  }
+
+  return { code, from, to, status: "in_transit" };
+}
+
+// Lock an in-transit transfer with its lines, failing if it has already been received or cancelled
+async function lockInTransitTransfer(db, code) {
+  const [[transfer]] = await db.query("SELECT * FROM stock_transfers WHERE code = ? FOR UPDATE", [code]);
+  if (!transfer) {
+    throw locationError(404, `Transfer ${code} not found.`);
+  }
+  if (transfer.status !== "in_transit") {
+    throw locationError(409, `Transfer ${code} is already ${transfer.status}.`, { code: "INVALID_STATUS" });
+  }
+
+  const [lines] = await db.query("SELECT * FROM stock_transfer_lines WHERE transfer_code = ?", [code]);
+  return { transfer, lines };
+}
+
+// Put the lots a transfer carried into a location
+async function restoreTransferLots(db, code, locationId) {
+  const [lots] = await db.query("SELECT * FROM stock_transfer_lots WHERE transfer_code = ? ORDER BY sku", [code]);
+  for (const lot of lots) {
+    await addToLot(db, {
+      sku: lot.sku,
+      locationId,
+      lotNumber: lot.lot_number,
+      expiryDate: lot.expiry_date,
+      quantity: Number(lot.quantity),
+    });
+  }
+}
+
+// Book an in-transit transfer into its destination location. Call inside a transaction.
+async function receiveTransfer(db, code, user) {
+  const { transfer, lines } = await lockInTransitTransfer(db, code);
+
+  for (const line of [...lines].sort((a, b) => (a.sku < b.sku ? -1 : 1))) {
+    await recordStockMovement(db, {
+      sku: line.sku,
+      type: "transfer",
+      quantity: Number(line.quantity),
+      reason: `Transfer ${code} received`,
+      referenceType: "transfer",
+      referenceCode: code,
+      user,
+      locationId: transfer.to_location_id,
+      unitCost: line.unit_cost,
+    });
+  }
+  await restoreTransferLots(db, code, transfer.to_location_id);
+
+  await db.query(
+    "UPDATE stock_transfers SET status = 'received', received_by = ?, received_at = NOW() WHERE code = ?",
+    [user.id || null, code]
+  );
+  return { ...transfer, status: "received", lines };
+}
+
+// Cancel an in-transit transfer, putting its stock back into the source location. Call inside a transaction.
+async function cancelTransfer(db, code, user) {
+  const { transfer, lines } = await lockInTransitTransfer(db, code);
+
+  for (const line of [...lines].sort((a, b) => (a.sku < b.sku ? -1 : 1))) {
+    await recordStockMovement(db, {
+      sku: line.sku,
+      type: "transfer",
+      quantity: Number(line.quantity),
+      reason: `Transfer ${code} cancelled`,
+      referenceType: "transfer",
+      referenceCode: code,
+      user,
+      locationId: transfer.from_location_id,
+      unitCost: line.unit_cost,
+    });
+  }
+  await restoreTransferLots(db, code, transfer.from_location_id);
+
+  await db.query(
+    "UPDATE stock_transfers SET status = 'cancelled', cancelled_by = ?, cancelled_at = NOW() WHERE code = ?",
+    [user.id || null, code]
+  );
+  return { ...transfer, status: "cancelled", lines };
+}
+
+module.exports = { locationError, resolveLocation, dispatchTransfer, receiveTransfer, cancelTransfer };
@@ -0,0 +1,154 @@
+// Lock a product's lots with stock at a location in FEFO order: earliest expiry first, lots without expiry last
+async function lockLots(db, sku, locationId) {
+  const [lots] = await db.query(
+    `SELECT id, lot_number, expiry_date, quantity, expiry_date < CURDATE() AS expired
+     FROM stock_lots
+     WHERE sku = ? AND location_id = ? AND quantity > 0
+     ORDER BY expiry_date IS NULL, expiry_date, id
+     FOR UPDATE`,
+    [sku, locationId]
+  );
+  return lots.map((lot) => ({ ...lot, quantity: Number(lot.quantity), expired: Boolean(lot.expired) }));
+}
+
+// Work out which lots a quantity comes from, taking it off the in-memory lot quantities so
+// later lines of the same SKU see what is left. Unlotted stock is used after the lots.
+function planAllocation(state, quantity, { includeExpired, lotNumber }) {
+  const candidates = lotNumber ? state.lots.filter((lot) => lot.lot_number === lotNumber) : state.lots;
+  const allocations = [];
+  let remaining = quantity;
+  let expired = 0;
+
+  for (const lot of candidates) {
+    if (remaining === 0) {
+      break;
+    }
+    if (lot.expired && !includeExpired) {
+      expired += lot.quantity;
+      continue;
+    }
+
+    const take = Math.min(lot.quantity, remaining);
+    if (take > 0) {
+      lot.quantity -= take;
+      remaining -= take;
+      allocations.push({ lotId: lot.id, lotNumber: lot.lot_number, expiryDate: lot.expiry_date, quantity: take });
+    }
+  }
+
+  if (!lotNumber && remaining > 0 && state.unlotted > 0) {
+    const take = Math.min(state.unlotted, remaining);
+    state.unlotted -= take;
+    remaining -= take;
+    allocations.push({ lotId: null, lotNumber: null, expiryDate: null, quantity: take });
+  }
+
+  return { allocations, remaining, expired, lotFound: candidates.length > 0 };
+}
+
+// Allocate lots FEFO for a set of lines at one location, never touching expired lots unless
+// includeExpired is set. A line may ask for a specific lot with lotNumber. Every short line is
+// reported together; nothing is written. Call inside a transaction, before deducting the stock.
+async function allocateLots(db, lines, locationId, { includeExpired = false, allowNegative = false } = {}) {
+  const skus = [...new Set(lines.map((line) => line.sku))].sort(); // Lock rows in a fixed order to avoid deadlocks
+  const states = new Map();
+
+  for (const sku of skus) {
+    const [products] = await db.query("SELECT sku FROM products WHERE sku = ? FOR UPDATE", [sku]);
+    const [[balance]] = await db.query(
+      "SELECT quantity FROM stock_balances WHERE location_id = ? AND sku = ? FOR UPDATE",
+      [locationId, sku]
+    );
+    const lots = await lockLots(db, sku, locationId);
+    const lotted = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+    states.set(sku, {
+      found: products.length > 0,
+      lots,
+      unlotted: Math.max((balance ? Number(balance.quantity) : 0) - lotted, 0),
+    });
+  }
+
+  const allocated = [];
+  const shortages = [];
+  for (const line of lines) {
+    const state = states.get(line.sku);
+    const requested = Number(line.quantity);
+
+    if (!state.found) {
+      shortages.push({ sku: line.sku, requested, available: null, reason: "not-found" });
+      continue;
+    }
+
+    const plan = planAllocation(state, requested, { includeExpired, lotNumber: line.lotNumber });
+    if (plan.remaining > 0 && line.lotNumber) {
+      shortages.push({
+        sku: line.sku,
+        lotNumber: line.lotNumber,
+        requested,
+        available: requested - plan.remaining,
+        reason: !plan.lotFound ? "lot-not-found" : plan.expired > 0 ? "lot-expired" : "insufficient-lot",
+      });
+      continue;
+    }
+    if (plan.remaining > 0 && !allowNegative) {
+      shortages.push({
+        sku: line.sku,
+        requested,
+        available: requested - plan.remaining,
+        expired: plan.expired,
+        reason: plan.expired > 0 ? "expired" : "insufficient-stock",
+      });
+      continue;
+    }
+    if (plan.remaining > 0) {
+      // Selling into negative stock is allowed, so the shortfall is booked as unlotted
+      plan.allocations.push({ lotId: null, lotNumber: null, expiryDate: null, quantity: plan.remaining });
+    }
+
+    allocated.push({ line, allocations: plan.allocations });
+  }
+
+  if (shortages.length > 0) {
+    const error = new Error(`Insufficient stock for SKU ${shortages.map((shortage) => shortage.sku).join(", ")}.`);
+    error.status = 409;
+    error.code = "INSUFFICIENT_STOCK";
+    error.shortages = shortages;
+    throw error;
+  }
+
+  return allocated;
+}
+
+// Take allocated quantities off their lots
+async function consumeAllocations(db, allocations) {
+  for (const allocation of allocations) {
+    if (allocation.lotId) {
+      await db.query("UPDATE stock_lots SET quantity = quantity - ? WHERE id = ?", [
+        allocation.quantity,
+        allocation.lotId,
+      ]);
+    }
+  }
+}
+
+// Take stock off a product's lots FEFO, expired lots included, e.g. for write-offs.
+// Whatever the lots cannot cover comes from unlotted stock. Call inside a transaction.
+async function takeFromLots(db, sku, locationId, quantity) {
+  const lots = await lockLots(db, sku, locationId);
+  const plan = planAllocation({ lots, unlotted: Infinity }, quantity, { includeExpired: true });
+  await consumeAllocations(db, plan.allocations);
+  return plan.allocations;
+}
+
+// Add stock to a lot, creating it on first receipt
+async function addToLot(db, { sku, locationId, lotNumber, expiryDate, quantity, grnCode }) {
+  await db.query(
+    `INSERT INTO stock_lots (sku, location_id, lot_number, expiry_date, quantity, grn_code)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE quantity = quantity + VALUES(quantity), expiry_date = COALESCE(expiry_date, VALUES(expiry_date))`,
+    [sku, locationId, lotNumber, expiryDate || null, quantity, grnCode || null]
+  );
+}
+
+module.exports = { allocateLots, consumeAllocations, takeFromLots, addToLot };
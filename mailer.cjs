@@ -0,0 +1,41 @@
+const nodemailer = require("nodemailer");
+
+// Open an SMTP transport from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASSWORD,
+// or return null when no SMTP host is configured
+function createMailTransport() {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+  });
+}
+
+// Build a reset token sender that emails the token to the user. With PASSWORD_RESET_URL set the
+// email links to it with the token appended as ?token=; otherwise it carries the token itself.
+function resetTokenMailer(transport) {
+  const from = process.env.MAIL_FROM || process.env.SMTP_USER;
+  const resetUrl = process.env.PASSWORD_RESET_URL;
+
+  return async (user, token) => {
+    if (!user.email) {
+      throw new Error("The user has no email address.");
+    }
+
+    const instructions = resetUrl
+      ? `Open this link to choose a new password:\n\n${resetUrl}?token=${encodeURIComponent(token)}`
+      : `Enter this reset code to choose a new password:\n\n${token}`;
+    await transport.sendMail({
+      from,
+      to: user.email,
+      subject: "Reset your RetailFlow password",
+      text: `Hello ${user.username},\n\nA password reset was requested for your account. ${instructions}\n\nIf you did not ask for this, you can ignore this email.`,
+    });
+  };
+}
+
+module.exports = { createMailTransport, resetTokenMailer };
@@ -0,0 +1,6 @@
+-- Failed login tracking and temporary account lockout
+
+ALTER TABLE users
+  ADD COLUMN failed_login_attempts INT NOT NULL DEFAULT 0,
+  ADD COLUMN last_failed_login_at DATETIME NULL,
+  ADD COLUMN locked_until DATETIME NULL;
@@ -0,0 +1,20 @@
+-- TOTP two-factor authentication and backup codes
+
+ALTER TABLE userroles
+  ADD COLUMN requires_2fa TINYINT(1) NOT NULL DEFAULT 0;
+
+UPDATE userroles SET requires_2fa = 1 WHERE LOWER(role) IN ('admin', 'manager');
+
+ALTER TABLE users
+  ADD COLUMN totp_secret VARCHAR(64) NULL,
+  ADD COLUMN totp_enabled TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN totp_last_step BIGINT NULL;
+
+CREATE TABLE IF NOT EXISTS user_backup_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  code_hash VARCHAR(60) NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_user_backup_codes_user (user_id)
+);
@@ -0,0 +1,17 @@
+-- Audit trail of create, update and delete operations
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NULL,
+  username VARCHAR(255) NULL,
+  action VARCHAR(50) NOT NULL,
+  entity VARCHAR(50) NOT NULL,
+  entity_key VARCHAR(100) NULL,
+  before_data JSON NULL,
+  after_data JSON NULL,
+  ip_address VARCHAR(45) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_audit_log_user (user_id),
+  KEY idx_audit_log_entity (entity, entity_key),
+  KEY idx_audit_log_created (created_at)
+);
@@ -0,0 +1,17 @@
+-- Archive markers so deletes no longer destroy rows that documents still reference
+
+ALTER TABLE products
+  ADD COLUMN archived_at DATETIME NULL,
+  ADD COLUMN archived_by INT NULL;
+
+ALTER TABLE customers
+  ADD COLUMN archived_at DATETIME NULL,
+  ADD COLUMN archived_by INT NULL;
+
+ALTER TABLE suppliers
+  ADD COLUMN archived_at DATETIME NULL,
+  ADD COLUMN archived_by INT NULL;
+
+ALTER TABLE productcategories
+  ADD COLUMN archived_at DATETIME NULL,
+  ADD COLUMN archived_by INT NULL;
@@ -0,0 +1,14 @@
+-- API keys for machine-to-machine integrations
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_prefix CHAR(8) NOT NULL,
+  key_hash VARCHAR(60) NOT NULL,
+  scopes JSON NOT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  UNIQUE KEY uq_api_keys_prefix (key_prefix)
+);
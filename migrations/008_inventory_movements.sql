@@ -0,0 +1,22 @@
+-- Append-only stock ledger; products.intQty is kept equal to the sum of a product's movements
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  sku VARCHAR(50) NOT NULL,
+  movement_type VARCHAR(30) NOT NULL,
+  quantity INT NOT NULL,
+  balance_after INT NOT NULL,
+  reason VARCHAR(255) NULL,
+  reference_type VARCHAR(30) NULL,
+  reference_code VARCHAR(50) NULL,
+  user_id INT NULL,
+  username VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_inventory_movements_sku (sku, id),
+  KEY idx_inventory_movements_reference (reference_type, reference_code)
+);
+
+-- Open the ledger with each product's current quantity
+INSERT INTO inventory_movements (sku, movement_type, quantity, balance_after, reason)
+SELECT sku, 'opening', CAST(intQty AS SIGNED), CAST(intQty AS SIGNED), 'Opening balance'
+FROM products;
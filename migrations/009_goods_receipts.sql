@@ -0,0 +1,32 @@
+-- Goods received notes against purchase orders
+
+ALTER TABLE purchaseorderdetails
+  ADD COLUMN received_qty INT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS goods_receipts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL,
+  po_code VARCHAR(50) NOT NULL,
+  supplier_code VARCHAR(50) NULL,
+  received_date DATE NOT NULL,
+  notes VARCHAR(255) NULL,
+  over_receipt TINYINT(1) NOT NULL DEFAULT 0,
+  user_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_goods_receipts_code (code),
+  KEY idx_goods_receipts_po (po_code)
+);
+
+CREATE TABLE IF NOT EXISTS goods_receipt_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  grn_code VARCHAR(50) NOT NULL,
+  sku VARCHAR(50) NOT NULL,
+  quantity INT NOT NULL,
+  unit_cost DECIMAL(12, 2) NOT NULL,
+  KEY idx_goods_receipt_lines_grn (grn_code),
+  KEY idx_goods_receipt_lines_sku (sku)
+);
+
+-- Code type 7 numbers goods received notes
+INSERT INTO codeformats (Code, PreFix, length, Sample, nextValue)
+VALUES (7, 'GRN', 5, 'GRN00001', 0);
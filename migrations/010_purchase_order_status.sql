@@ -0,0 +1,10 @@
+-- Purchase order status workflow
+
+ALTER TABLE purchaseorder
+  ADD COLUMN status VARCHAR(30) NOT NULL DEFAULT 'draft',
+  ADD COLUMN approved_by INT NULL,
+  ADD COLUMN approved_at DATETIME NULL,
+  ADD COLUMN status_changed_at DATETIME NULL;
+
+-- Orders created before the workflow existed were already placed with suppliers
+UPDATE purchaseorder SET status = 'sent';
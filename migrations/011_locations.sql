@@ -0,0 +1,78 @@
+-- Stock locations (shop floor, storeroom, branches), per-location balances and transfers between them.
+-- products.intQty stays the total across all locations; stock in transit counts in no location until received.
+
+CREATE TABLE IF NOT EXISTS locations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(20) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  is_default TINYINT(1) NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  archived_at DATETIME NULL,
+  archived_by INT NULL,
+  UNIQUE KEY uq_locations_code (code)
+);
+
+INSERT INTO locations (code, name, is_default) VALUES ('MAIN', 'Main store', 1);
+
+CREATE TABLE IF NOT EXISTS stock_balances (
+  location_id INT NOT NULL,
+  sku VARCHAR(50) NOT NULL,
+  quantity INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (location_id, sku),
+  KEY idx_stock_balances_sku (sku),
+  CONSTRAINT fk_stock_balances_location FOREIGN KEY (location_id) REFERENCES locations (id)
+);
+
+-- All existing stock starts in the default location
+INSERT INTO stock_balances (location_id, sku, quantity)
+SELECT l.id, p.sku, CAST(p.intQty AS SIGNED)
+FROM products p
+JOIN locations l ON l.is_default = 1;
+
+ALTER TABLE inventory_movements
+  ADD COLUMN location_id INT NULL,
+  ADD COLUMN location_balance_after INT NULL,
+  ADD KEY idx_inventory_movements_location (location_id, sku);
+
+UPDATE inventory_movements
+SET location_id = (SELECT id FROM locations WHERE is_default = 1),
+    location_balance_after = balance_after;
+
+ALTER TABLE sales_invoices
+  ADD COLUMN location_id INT NULL;
+
+ALTER TABLE goods_receipts
+  ADD COLUMN location_id INT NULL;
+
+UPDATE sales_invoices SET location_id = (SELECT id FROM locations WHERE is_default = 1);
+UPDATE goods_receipts SET location_id = (SELECT id FROM locations WHERE is_default = 1);
+
+CREATE TABLE IF NOT EXISTS stock_transfers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL,
+  from_location_id INT NOT NULL,
+  to_location_id INT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_transit',
+  notes VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  received_by INT NULL,
+  received_at DATETIME NULL,
+  cancelled_by INT NULL,
+  cancelled_at DATETIME NULL,
+  UNIQUE KEY uq_stock_transfers_code (code),
+  KEY idx_stock_transfers_status (status)
+);
+
+CREATE TABLE IF NOT EXISTS stock_transfer_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  transfer_code VARCHAR(50) NOT NULL,
+  sku VARCHAR(50) NOT NULL,
+  quantity INT NOT NULL,
+  KEY idx_stock_transfer_lines_transfer (transfer_code),
+  KEY idx_stock_transfer_lines_sku (sku)
+);
+
+-- Code type 8 numbers stock transfers
+INSERT INTO codeformats (Code, PreFix, length, Sample, nextValue)
+VALUES (8, 'TRF', 5, 'TRF00001', 0);
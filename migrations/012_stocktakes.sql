@@ -0,0 +1,44 @@
+-- Stocktake (cycle count) sessions: a frozen snapshot of expected quantities, counts from any
+-- number of devices, and the posted variances
+
+CREATE TABLE IF NOT EXISTS stocktakes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL,
+  location_id INT NOT NULL,
+  category VARCHAR(100) NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  notes VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  posted_by INT NULL,
+  posted_at DATETIME NULL,
+  UNIQUE KEY uq_stocktakes_code (code),
+  KEY idx_stocktakes_status (status)
+);
+
+CREATE TABLE IF NOT EXISTS stocktake_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  stocktake_code VARCHAR(50) NOT NULL,
+  sku VARCHAR(50) NOT NULL,
+  expected_qty INT NOT NULL,
+  counted_qty INT NULL,
+  unit_cost DECIMAL(12, 4) NOT NULL DEFAULT 0,
+  posted_variance INT NULL,
+  UNIQUE KEY uq_stocktake_lines_sku (stocktake_code, sku)
+);
+
+-- Every count as it was submitted, so totals per line can be traced back to devices and users
+CREATE TABLE IF NOT EXISTS stocktake_counts (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  stocktake_code VARCHAR(50) NOT NULL,
+  sku VARCHAR(50) NOT NULL,
+  quantity INT NOT NULL,
+  device VARCHAR(100) NULL,
+  user_id INT NULL,
+  counted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_stocktake_counts_line (stocktake_code, sku)
+);
+
+-- Code type 9 numbers stocktakes
+INSERT INTO codeformats (Code, PreFix, length, Sample, nextValue)
+VALUES (9, 'STK', 5, 'STK00001', 0);
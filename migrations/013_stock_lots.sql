@@ -0,0 +1,34 @@
+-- Lot numbers and expiry dates. A product's lots break down part of its balance at a location;
+-- stock received without a lot (and opening balances) stays unlotted.
+
+CREATE TABLE IF NOT EXISTS stock_lots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  sku VARCHAR(50) NOT NULL,
+  location_id INT NOT NULL,
+  lot_number VARCHAR(50) NOT NULL,
+  expiry_date DATE NULL,
+  quantity INT NOT NULL DEFAULT 0,
+  grn_code VARCHAR(50) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_stock_lots (sku, location_id, lot_number),
+  KEY idx_stock_lots_expiry (expiry_date)
+);
+
+ALTER TABLE goods_receipt_lines
+  ADD COLUMN lot_number VARCHAR(50) NULL,
+  ADD COLUMN expiry_date DATE NULL;
+
+ALTER TABLE cart_items
+  ADD COLUMN lot_number VARCHAR(50) NULL,
+  ADD COLUMN expiry_date DATE NULL;
+
+-- Lots that left the source location with a transfer, so the destination receives the same lots
+CREATE TABLE IF NOT EXISTS stock_transfer_lots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  transfer_code VARCHAR(50) NOT NULL,
+  sku VARCHAR(50) NOT NULL,
+  lot_number VARCHAR(50) NOT NULL,
+  expiry_date DATE NULL,
+  quantity INT NOT NULL,
+  KEY idx_stock_transfer_lots_transfer (transfer_code)
+);
@@ -0,0 +1,7 @@
+-- Reorder points: a product at or below reorder_point should be reordered, reorder_qty at a time,
+-- from its preferred supplier
+
+ALTER TABLE products
+  ADD COLUMN reorder_point INT NULL,
+  ADD COLUMN reorder_qty INT NULL,
+  ADD COLUMN preferred_supplier VARCHAR(50) NULL;
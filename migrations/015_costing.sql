@@ -0,0 +1,41 @@
+-- Inventory costing: weighted average cost per product, FIFO cost layers, a cost on every ledger
+-- movement, and cost of goods sold on invoice lines. products.cost stays the last purchase cost.
+
+ALTER TABLE products
+  ADD COLUMN avg_cost DECIMAL(12, 4) NULL;
+
+UPDATE products SET avg_cost = COALESCE(cost, 0);
+
+-- Stock received at one cost, consumed oldest first
+CREATE TABLE IF NOT EXISTS cost_layers (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  sku VARCHAR(50) NOT NULL,
+  quantity INT NOT NULL,
+  remaining INT NOT NULL,
+  unit_cost DECIMAL(12, 4) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_cost_layers_sku (sku, remaining, id)
+);
+
+-- Current stock opens a single layer at the product cost
+INSERT INTO cost_layers (sku, quantity, remaining, unit_cost)
+SELECT sku, CAST(intQty AS SIGNED), CAST(intQty AS SIGNED), COALESCE(cost, 0)
+FROM products
+WHERE intQty > 0;
+
+ALTER TABLE inventory_movements
+  ADD COLUMN unit_cost DECIMAL(12, 4) NULL,
+  ADD COLUMN value DECIMAL(14, 4) NULL;
+
+-- Earlier movements are valued at today's product cost; exact history is not available
+UPDATE inventory_movements m
+JOIN products p ON p.sku = m.sku
+SET m.unit_cost = COALESCE(p.cost, 0),
+    m.value = m.quantity * COALESCE(p.cost, 0);
+
+ALTER TABLE cart_items
+  ADD COLUMN unit_cost DECIMAL(12, 4) NULL,
+  ADD COLUMN cogs DECIMAL(12, 2) NULL;
+
+ALTER TABLE stock_transfer_lines
+  ADD COLUMN unit_cost DECIMAL(12, 4) NULL;
@@ -0,0 +1,31 @@
+-- Stock reservations for parked sales and customer promises. An active reservation holds stock
+-- at its location until it expires, is cancelled or is converted into an invoice.
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL,
+  customer_code VARCHAR(50) NULL,
+  location_id INT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  notes VARCHAR(255) NULL,
+  expires_at DATETIME NOT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  released_at DATETIME NULL,
+  invoice_code VARCHAR(50) NULL,
+  UNIQUE KEY uq_stock_reservations_code (code),
+  KEY idx_stock_reservations_active (status, expires_at)
+);
+
+CREATE TABLE IF NOT EXISTS stock_reservation_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  reservation_code VARCHAR(50) NOT NULL,
+  sku VARCHAR(50) NOT NULL,
+  quantity INT NOT NULL,
+  KEY idx_stock_reservation_lines_reservation (reservation_code),
+  KEY idx_stock_reservation_lines_sku (sku)
+);
+
+-- Code type 10 numbers reservations
+INSERT INTO codeformats (Code, PreFix, length, Sample, nextValue)
+VALUES (10, 'RSV', 5, 'RSV00001', 0);
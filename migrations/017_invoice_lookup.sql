@@ -0,0 +1,13 @@
+-- Who rang up each invoice, its status, and how often its receipt was reprinted
+
+ALTER TABLE sales_invoices
+  ADD COLUMN cashier_id INT NULL,
+  ADD COLUMN cashier_name VARCHAR(255) NULL,
+  ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'completed',
+  ADD COLUMN reprint_count INT NOT NULL DEFAULT 0,
+  ADD COLUMN created_at DATETIME NULL,
+  ADD KEY idx_sales_invoices_post_date (post_date),
+  ADD KEY idx_sales_invoices_customer (customer_id);
+
+ALTER TABLE cart_items
+  ADD KEY idx_cart_items_invoice (invoice_code);
@@ -0,0 +1,4 @@
+-- The manager who approved discounts beyond a product's limits on an invoice
+
+ALTER TABLE sales_invoices
+  ADD COLUMN discount_approved_by INT NULL;
@@ -0,0 +1,49 @@
+-- Sales returns: credit notes against invoice lines, and store credit for customers
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL,
+  invoice_code VARCHAR(50) NOT NULL,
+  customer_id VARCHAR(50) NULL,
+  location_id INT NULL,
+  reason VARCHAR(255) NULL,
+  refund_method VARCHAR(30) NOT NULL,
+  total_amount DECIMAL(12, 2) NOT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_credit_notes_code (code),
+  KEY idx_credit_notes_invoice (invoice_code)
+);
+
+CREATE TABLE IF NOT EXISTS credit_note_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  credit_note_code VARCHAR(50) NOT NULL,
+  sku VARCHAR(50) NOT NULL,
+  lot_number VARCHAR(50) NULL,
+  quantity INT NOT NULL,
+  unit_price DECIMAL(12, 4) NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  unit_cost DECIMAL(12, 4) NULL,
+  item_condition VARCHAR(20) NOT NULL DEFAULT 'restock',
+  KEY idx_credit_note_lines_note (credit_note_code)
+);
+
+ALTER TABLE customers
+  ADD COLUMN store_credit DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+-- Every change to a customer's store credit; customers.store_credit is their running total
+CREATE TABLE IF NOT EXISTS customer_credit_ledger (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  customer_code VARCHAR(50) NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  balance_after DECIMAL(12, 2) NOT NULL,
+  reference_type VARCHAR(30) NULL,
+  reference_code VARCHAR(50) NULL,
+  user_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_customer_credit_ledger_customer (customer_code, id)
+);
+
+-- Code type 11 numbers credit notes
+INSERT INTO codeformats (Code, PreFix, length, Sample, nextValue)
+VALUES (11, 'CRN', 5, 'CRN00001', 0);
@@ -0,0 +1,7 @@
+-- Voided invoices keep their row; these record why, who voided it and which manager approved it
+
+ALTER TABLE sales_invoices
+  ADD COLUMN void_reason VARCHAR(255) NULL,
+  ADD COLUMN voided_by INT NULL,
+  ADD COLUMN void_approved_by INT NULL,
+  ADD COLUMN voided_at DATETIME NULL;
@@ -0,0 +1,24 @@
+-- Payments against invoices; a sale may be split across several tenders
+
+CREATE TABLE IF NOT EXISTS invoice_payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  invoice_code VARCHAR(50) NOT NULL,
+  method VARCHAR(30) NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  tendered DECIMAL(12, 2) NOT NULL,
+  change_due DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  reference VARCHAR(100) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_invoice_payments_invoice (invoice_code),
+  KEY idx_invoice_payments_method (method)
+);
+
+-- Existing invoices were paid in full with their single payment method, written the way new
+-- payments are ("Cash" becomes cash, "Bank Transfer" becomes bank-transfer); nothing was paid
+-- on a zero total
+INSERT INTO invoice_payments (invoice_code, method, amount, tendered)
+SELECT code,
+  COALESCE(NULLIF(REPLACE(REPLACE(LOWER(TRIM(payment_method)), ' ', '-'), '_', '-'), ''), 'cash'),
+  net_total, net_total
+FROM sales_invoices
+WHERE net_total <> 0;
@@ -0,0 +1,89 @@
+const defaultLimit = 50;
+const maxLimit = 500;
+
+// Reject query parameters given more than once (?sort=a&sort=b) or as objects (?page[x]=1), which
+// arrive as arrays or objects instead of strings and would otherwise fail as a server error
+function requireSingleQueryValues(req, res, next) {
+  const repeated = Object.keys(req.query).filter((name) => typeof req.query[name] !== "string");
+  if (repeated.length > 0) {
+    return res.status(400).json({
+      code: "INVALID_QUERY",
+      message: `Query parameters must be given once as plain values: ${repeated.join(", ")}`,
+    });
+  }
+  next();
+}
+
+// Turn list query parameters into SQL pieces.
+//   ?page=2&limit=50        paging (1-based page)
+//   ?q=text                 free-text search over options.searchColumns
+//   ?sort=name&order=desc   sorting by one of options.sortColumns (public name -> column); routes
+//                           with a newest-first default apply it only when order is not given
+//   ?<filter>=value         options.filters: a column name for equality, or (value) => [sql, params] | null
+//   ?includeArchived=true   shows archived rows when options.archivable is set
+function parseListQuery(query, options) {
+  const { searchColumns = [], sortColumns = {}, defaultSort, filters = {}, archivable = false } = options;
+  const conditions = [];
+  const params = [];
+
+  if (archivable && query.includeArchived !== "true") {
+    conditions.push("archived_at IS NULL");
+  }
+
+  if (query.q && searchColumns.length > 0) {
+    conditions.push(`(${searchColumns.map((column) => `${column} LIKE ?`).join(" OR ")})`);
+    params.push(...searchColumns.map(() => `%${query.q}%`));
+  }
+
+  for (const [name, filter] of Object.entries(filters)) {
+    const value = query[name];
+    if (value === undefined || value === "") {
+      continue;
+    }
+
+    if (typeof filter === "string") {
+      conditions.push(`${filter} = ?`);
+      params.push(value);
+      continue;
+    }
+
+    const clause = filter(value);
+    if (clause) {
+      conditions.push(clause[0]);
+      params.push(...clause[1]);
+    }
+  }
+
+  const sortColumn = sortColumns[query.sort] || defaultSort;
+  const direction = String(query.order).toLowerCase() === "desc" ? "DESC" : "ASC";
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+    orderBy: `${sortColumn} ${direction}`,
+    limit,
+    page,
+    offset: (page - 1) * limit,
+  };
+}
+
+// Run a parsed list query and wrap the rows in the standard response envelope
+async function fetchPage(db, select, from, list) {
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total ${from} ${list.where}`, list.params);
+  const [rows] = await db.query(
+    `${select} ${from} ${list.where} ORDER BY ${list.orderBy} LIMIT ? OFFSET ?`,
+    [...list.params, list.limit, list.offset]
+  );
+
+  return {
+    data: rows,
+    total,
+    page: list.page,
+    limit: list.limit,
+    totalPages: Math.ceil(total / list.limit),
+  };
+}
+
+module.exports = { requireSingleQueryValues, parseListQuery, fetchPage };
@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+const { hashToken } = require("./auth.cjs");
+
+const minPasswordLength = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const resetTokenTtlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+// Check a password against the password policy, returning a list of problems
+function validatePassword(password, username) {
+  const problems = [];
+
+  if (typeof password !== "string" || password.length < minPasswordLength) {
+    problems.push(`Password must be at least ${minPasswordLength} characters long.`);
+    return problems;
+  }
+  if (!/[A-Za-z]/.test(password)) {
+    problems.push("Password must contain at least one letter.");
+  }
+  if (!/[0-9]/.test(password)) {
+    problems.push("Password must contain at least one number.");
+  }
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    problems.push("Password must not contain the username.");
+  }
+
+  return problems;
+}
+
+// Create a single-use password reset token for a user
+async function createResetToken(db, userId, createdBy = null) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + resetTokenTtlMinutes * 60 * 1000);
+
+  // Only the most recent reset token stays usable
+  await db.query(
+    "UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+    [userId]
+  );
+  await db.query(
+    "INSERT INTO password_resets (user_id, token_hash, expires_at, created_by) VALUES (?, ?, ?, ?)",
+    [userId, hashToken(token), expiresAt, createdBy]
+  );
+
+  return { token, expiresAt };
+}
+
+// Find an unused, unexpired reset token, returning the user id it belongs to or null
+async function findResetTokenUser(db, token) {
+  const [rows] = await db.query(
+    "SELECT user_id FROM password_resets WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()",
+    [hashToken(token)]
+  );
+
+  return rows.length > 0 ? rows[0].user_id : null;
+}
+
+// Mark a reset token as used, returning false if it was already used or has expired
+async function consumeResetToken(db, token) {
+  const [result] = await db.query(
+    "UPDATE password_resets SET used_at = NOW() WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()",
+    [hashToken(token)]
+  );
+
+  return result.affectedRows > 0;
+}
+
+// Sends a reset token to the user, e.g. by email; set with setResetTokenSender. The token is a
+// credential, so it is only ever handed to the sender and never logged.
+let resetTokenSender = null;
+
+// Register the function that delivers reset tokens: async (user, token) => {}
+function setResetTokenSender(sender) {
+  resetTokenSender = sender;
+}
+
+// Whether reset tokens can be delivered, i.e. whether self-service reset is available
+function canDeliverResetTokens() {
+  return typeof resetTokenSender === "function";
+}
+
+// Hand a reset token to the user through the registered sender
+async function deliverResetToken(user, token) {
+  if (!canDeliverResetTokens()) {
+    throw new Error("No password reset token sender is configured.");
+  }
+  await resetTokenSender(user, token);
+}
+
+module.exports = {
+  validatePassword,
+  createResetToken,
+  findResetTokenUser,
+  consumeResetToken,
+  setResetTokenSender,
+  canDeliverResetTokens,
+  deliverResetToken,
+};
@@ -0,0 +1,107 @@
+const { roundMoney } = require("./pricing.cjs");
+const { adjustStoreCredit } = require("./credit.cjs");
+
+// Ways a sale can be paid; an invoice may be split across several of them
+const tenderMethods = ["cash", "card", "bank-transfer", "store-credit", "gift-card"];
+
+// Amounts are compared to the cent
+const tolerance = 0.005;
+
+// Bring a method name to the form in tenderMethods, so "Cash" or "Bank Transfer" from older
+// clients are accepted
+function normalizeTenderMethod(method) {
+  if (typeof method !== "string") {
+    return method;
+  }
+  return method.trim().toLowerCase().replace(/[\s_]+/g, "-");
+}
+
+// Build an error carrying an HTTP status and optional details for the route to return
+function paymentError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+// Check that the tenders pay an invoice's net total. Only cash can be overpaid, and the
+// difference is handed back as change; every other tender is charged exactly what it says.
+// Returns the payments to record, the change due and the invoice's payment method. Nothing is
+// owed on an invoice with a zero net total, so no tender is needed or recorded for it.
+function settleTenders(netTotal, rawTenders) {
+  const tenders = rawTenders.map((tender) => ({ ...tender, method: normalizeTenderMethod(tender.method) }));
+
+  if (netTotal < tolerance) {
+    const method = tenders.length > 0 && tenderMethods.includes(tenders[0].method) ? tenders[0].method : null;
+    return { payments: [], changeDue: 0, paymentMethod: method };
+  }
+
+  const problems = [];
+  tenders.forEach((tender, index) => {
+    const amount = Number(tender.amount);
+    if (!tenderMethods.includes(tender.method)) {
+      problems.push({ index, method: tender.method, reason: "invalid-method" });
+    } else if (!Number.isFinite(amount) || amount <= 0 || roundMoney(amount) !== amount) {
+      problems.push({ index, method: tender.method, reason: "invalid-amount" });
+    } else if (tender.method === "gift-card" && !tender.reference) {
+      problems.push({ index, method: tender.method, reason: "missing-reference" });
+    }
+  });
+  if (problems.length > 0) {
+    throw paymentError(400, "Some tenders are invalid.", { code: "PAYMENT_REJECTED", problems });
+  }
+
+  const cash = roundMoney(tenders.filter((tender) => tender.method === "cash").reduce((sum, tender) => sum + Number(tender.amount), 0));
+  const other = roundMoney(tenders.filter((tender) => tender.method !== "cash").reduce((sum, tender) => sum + Number(tender.amount), 0));
+
+  if (other > netTotal + tolerance) {
+    problems.push({ reason: "overpaid", nonCash: other, netTotal });
+  } else if (cash + other < netTotal - tolerance) {
+    problems.push({ reason: "underpaid", tendered: roundMoney(cash + other), netTotal });
+  }
+  if (problems.length > 0) {
+    throw paymentError(400, "The tenders do not pay the invoice total.", { code: "PAYMENT_REJECTED", problems });
+  }
+
+  // Change comes out of the cash tenders, last one first
+  const changeDue = roundMoney(cash + other - netTotal);
+  let change = changeDue;
+  const payments = [...tenders].reverse().map((tender) => {
+    const tendered = Number(tender.amount);
+    const given = tender.method === "cash" ? Math.min(change, tendered) : 0;
+    change = roundMoney(change - given);
+    return {
+      method: tender.method,
+      amount: roundMoney(tendered - given),
+      tendered,
+      changeDue: given,
+      reference: tender.reference || null,
+    };
+  }).reverse();
+
+  const methods = [...new Set(payments.map((payment) => payment.method))];
+  return { payments, changeDue, paymentMethod: methods.length === 1 ? methods[0] : "split" };
+}
+
+// Record an invoice's payments, taking store credit tenders off the customer's balance.
+// Call inside a transaction.
+async function recordPayments(db, { invoiceCode, customerCode, payments, user }) {
+  for (const payment of payments) {
+    if (payment.method === "store-credit") {
+      await adjustStoreCredit(db, {
+        customerCode,
+        amount: -payment.amount,
+        referenceType: "invoice",
+        referenceCode: invoiceCode,
+        user,
+      });
+    }
+    await db.query(
+      `INSERT INTO invoice_payments (invoice_code, method, amount, tendered, change_due, reference)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [invoiceCode, payment.method, payment.amount, payment.tendered, payment.changeDue, payment.reference]
+    );
+  }
+}
+
+module.exports = { tenderMethods, normalizeTenderMethod, paymentError, settleTenders, recordPayments };
@@ -0,0 +1,125 @@
+// Every permission the API checks. API key scopes must come from this list.
+const allPermissions = [
+  "users:read",
+  "users:manage",
+  "code-formats:read",
+  "code-formats:manage",
+  "categories:read",
+  "categories:write",
+  "products:read",
+  "products:write",
+  "products:delete",
+  "inventory:write",
+  "inventory:adjust",
+  "locations:read",
+  "locations:manage",
+  "transfers:read",
+  "transfers:write",
+  "stocktakes:read",
+  "stocktakes:count",
+  "stocktakes:write",
+  "stocktakes:approve",
+  "suppliers:read",
+  "suppliers:write",
+  "suppliers:delete",
+  "customers:read",
+  "customers:write",
+  "customers:delete",
+  "purchase-orders:read",
+  "purchase-orders:write",
+  "purchase-orders:delete",
+  "purchase-orders:receive",
+  "purchase-orders:approve",
+  "invoices:read",
+  "invoices:write",
+  "invoices:discount-override",
+  "invoices:void",
+  "reservations:read",
+  "reservations:write",
+  "returns:read",
+  "returns:write",
+  "reports:read",
+  "audit:read",
+  "records:purge",
+  "api-keys:manage",
+];
+
+// Permissions an API key may not carry, so a key can never mint further keys or manage users
+const userOnlyPermissions = ["users:manage", "api-keys:manage"];
+
+// Permissions granted to each role in the userroles table.
+// Role names are matched case-insensitively; "*" grants every permission.
+const rolePermissions = {
+  admin: ["*"],
+  manager: [
+    "users:read",
+    "code-formats:read",
+    "categories:read",
+    "categories:write",
+    "products:read",
+    "products:write",
+    "products:delete",
+    "inventory:write",
+    "inventory:adjust",
+    "locations:read",
+    "locations:manage",
+    "transfers:read",
+    "transfers:write",
+    "stocktakes:read",
+    "stocktakes:count",
+    "stocktakes:write",
+    "stocktakes:approve",
+    "suppliers:read",
+    "suppliers:write",
+    "suppliers:delete",
+    "customers:read",
+    "customers:write",
+    "customers:delete",
+    "purchase-orders:read",
+    "purchase-orders:write",
+    "purchase-orders:delete",
+    "purchase-orders:receive",
+    "purchase-orders:approve",
+    "invoices:read",
+    "invoices:write",
+    "invoices:discount-override",
+    "invoices:void",
+    "reservations:read",
+    "reservations:write",
+    "returns:read",
+    "returns:write",
+    "reports:read",
+  ],
+  cashier: [
+    "code-formats:read",
+    "categories:read",
+    "products:read",
+    "inventory:write",
+    "locations:read",
+    "transfers:read",
+    "stocktakes:read",
+    "stocktakes:count",
+    "customers:read",
+    "customers:write",
+    "invoices:read",
+    "invoices:write",
+    "reservations:read",
+    "reservations:write",
+  ],
+};
+
+// Get the list of permissions for a role
+function getRolePermissions(role) {
+  if (!role) {
+    return [];
+  }
+
+  return rolePermissions[String(role).toLowerCase()] || [];
+}
+
+// Check whether a list of permissions contains the requested permission
+function hasPermission(permissions, permission) {
+  return permissions.includes("*") || permissions.includes(permission);
+}
+
+module.exports = { allPermissions, userOnlyPermissions, rolePermissions, getRolePermissions, hasPermission };
@@ -0,0 +1,81 @@
+// Amounts are compared to the cent
+const tolerance = 0.005;
+
+// Round a money amount to cents
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Price an invoice from current product prices. Line discounts are percentages and must stay
+// within each product's maxDiscount, on products that allow discounts, unless a manager approved
+// an override. The client's prices and totals must match what the server works out.
+// Returns the priced lines and totals, or throws with every problem found.
+async function priceInvoice(db, cartItems, invoice, { overrideApproved = false } = {}) {
+  const skus = [...new Set(cartItems.map((item) => item.sku))];
+  const [products] = await db.query(
+    `SELECT sku, productName, CAST(price AS DOUBLE) AS price, maxDiscount, dicountAllowed
+     FROM products WHERE sku IN (?) AND archived_at IS NULL`,
+    [skus]
+  );
+  const productsBySku = new Map(products.map((product) => [product.sku, product]));
+
+  const problems = [];
+  const lines = [];
+  for (const item of cartItems) {
+    const product = productsBySku.get(item.sku);
+    if (!product) {
+      problems.push({ sku: item.sku, reason: "not-found" });
+      continue;
+    }
+
+    const price = Number(product.price);
+    const discount = Number(item.discount || 0);
+    const maxDiscount = Number(product.maxDiscount || 0);
+
+    if (item.price !== undefined && item.price !== null && Math.abs(Number(item.price) - price) > tolerance) {
+      problems.push({ sku: item.sku, reason: "price-changed", sent: Number(item.price), price });
+    }
+    if (Number.isNaN(discount) || discount < 0 || discount > 100) {
+      problems.push({ sku: item.sku, reason: "invalid-discount", discount: item.discount });
+      continue;
+    }
+    if (discount > 0 && !overrideApproved) {
+      if (!Number(product.dicountAllowed)) {
+        problems.push({ sku: item.sku, reason: "discount-not-allowed", discount });
+      } else if (discount > maxDiscount) {
+        problems.push({ sku: item.sku, reason: "discount-above-max", discount, maxDiscount });
+      }
+    }
+
+    const gross = roundMoney(price * Number(item.quantity));
+    const lineDiscount = roundMoney((gross * discount) / 100);
+    lines.push({ ...item, name: item.name || product.productName, price, discount, gross, lineDiscount });
+  }
+
+  const totals = {
+    totalAmount: roundMoney(lines.reduce((sum, line) => sum + line.gross, 0)),
+    discountAmount: roundMoney(lines.reduce((sum, line) => sum + line.lineDiscount, 0)),
+  };
+  totals.netTotal = roundMoney(totals.totalAmount - totals.discountAmount);
+
+  if (problems.length === 0) {
+    for (const field of ["totalAmount", "discountAmount", "netTotal"]) {
+      if (Math.abs(Number(invoice[field] || 0) - totals[field]) > tolerance) {
+        problems.push({ field, reason: "total-mismatch", sent: invoice[field], expected: totals[field] });
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error("The invoice does not match current prices and discount rules.");
+    error.status = 400;
+    error.code = "PRICING_REJECTED";
+    error.problems = problems;
+    error.expected = totals;
+    throw error;
+  }
+
+  return { lines, ...totals };
+}
+
+module.exports = { roundMoney, priceInvoice };
@@ -0,0 +1,227 @@
+const { recordStockMovement } = require("./stock.cjs");
+
+// Manual status changes a purchase order allows; partially_received and received are set by receiving goods
+const purchaseOrderTransitions = {
+  draft: ["approved", "cancelled"],
+  approved: ["draft", "sent", "cancelled"],
+  sent: ["cancelled"],
+  partially_received: [],
+  received: [],
+  cancelled: [],
+};
+
+// Statuses in which goods may be received against the order
+const receivableStatuses = ["approved", "sent", "partially_received"];
+
+// Build an error carrying an HTTP status and optional details for the route to return
+function purchasingError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+// SKUs that appear on more than one line. An order lists each SKU once, since receipts are
+// tracked per SKU.
+function duplicateSkus(lines, skuOf = (line) => line.sku) {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const line of lines) {
+    const sku = skuOf(line);
+    (seen.has(sku) ? duplicates : seen).add(sku);
+  }
+  return [...duplicates];
+}
+
+// Receive goods against a purchase order: records the GRN, raises stock (into the line's lot when
+// it has one) and product cost, and tracks what is still outstanding per line. Call inside a transaction.
+async function receiveGoods(db, { grnCode, poCode, locationId, lines, receivedDate, notes, allowOverReceipt, user }) {
+  const [[order]] = await db.query(
+    "SELECT * FROM purchaseorder WHERE purchaseOrderCode = ? FOR UPDATE",
+    [poCode]
+  );
+  if (!order) {
+    throw purchasingError(404, `Purchase order ${poCode} not found.`);
+  }
+  if (!receivableStatuses.includes(order.status)) {
+    throw purchasingError(409, `Goods cannot be received against a purchase order that is ${order.status}.`, {
+      code: "INVALID_STATUS",
+    });
+  }
+
+  const [orderLines] = await db.query(
+    "SELECT * FROM purchaseorderdetails WHERE poCode = ? FOR UPDATE",
+    [poCode]
+  );
+  // Older orders may list a SKU twice; their receipts could not be told apart, so they are refused
+  const duplicated = duplicateSkus(orderLines, (line) => line.ProductCode);
+  if (duplicated.length > 0) {
+    throw purchasingError(409, `Purchase order ${poCode} lists SKU ${duplicated.join(", ")} more than once.`, {
+      code: "DUPLICATE_ORDER_LINES",
+    });
+  }
+  const orderLinesBySku = new Map(orderLines.map((line) => [line.ProductCode, line]));
+
+  // Sum the received quantities per SKU, so several lines (e.g. lots) of one SKU are checked together
+  const totals = new Map();
+  for (const { sku, quantity } of lines) {
+    totals.set(sku, (totals.get(sku) || 0) + Number(quantity));
+  }
+  const outstandingBySku = (sku) => {
+    const orderLine = orderLinesBySku.get(sku);
+    return Number(orderLine.qty) - Number(orderLine.received_qty);
+  };
+
+  // Check every SKU first so all problems are reported together
+  const problems = [];
+  for (const [sku, received] of totals) {
+    if (!orderLinesBySku.has(sku)) {
+      problems.push({ sku, reason: "not-on-order" });
+    } else if (!allowOverReceipt && received > outstandingBySku(sku)) {
+      problems.push({ sku, reason: "over-receipt", outstanding: outstandingBySku(sku), received });
+    }
+  }
+  if (problems.length > 0) {
+    throw purchasingError(409, "Some lines cannot be received.", { code: "RECEIPT_REJECTED", problems });
+  }
+
+  const overReceipt = [...totals].some(([sku, received]) => received > outstandingBySku(sku));
+
+  await db.query(
+    `INSERT INTO goods_receipts
+       (code, po_code, supplier_code, location_id, received_date, notes, over_receipt, user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [grnCode, poCode, order.SupplierCode, locationId, receivedDate, notes || null, overReceipt ? 1 : 0, user.id || null]
+  );
+
+  for (const line of lines) {
+    const orderLine = orderLinesBySku.get(line.sku);
+    const quantity = Number(line.quantity);
+    const unitCost = line.cost === undefined || line.cost === null ? orderLine.cost : Number(line.cost);
+
+    await db.query(
+      `INSERT INTO goods_receipt_lines (grn_code, sku, quantity, unit_cost, lot_number, expiry_date)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [grnCode, line.sku, quantity, unitCost, line.lotNumber || null, line.expiryDate || null]
+    );
+    await db.query(
+      "UPDATE purchaseorderdetails SET received_qty = received_qty + ? WHERE poCode = ? AND ProductCode = ?",
+      [quantity, poCode, line.sku]
+    );
+    await recordStockMovement(db, {
+      sku: line.sku,
+      type: "purchase-receipt",
+      quantity,
+      reason: `Received against ${poCode}`,
+      referenceType: "grn",
+      referenceCode: grnCode,
+      user,
+      locationId,
+      unitCost: Number(unitCost),
+      lot: line.lotNumber ? { lotNumber: line.lotNumber, expiryDate: line.expiryDate, grnCode } : null,
+    });
+
+    // The latest received cost becomes the product cost
+    await db.query("UPDATE products SET cost = ? WHERE sku = ?", [unitCost, line.sku]);
+  }
+
+  const [updatedLines] = await db.query(
+    "SELECT *, GREATEST(qty - received_qty, 0) AS outstanding_qty FROM purchaseorderdetails WHERE poCode = ?",
+    [poCode]
+  );
+
+  // The order is received once nothing is outstanding on any line
+  const status = updatedLines.every((line) => Number(line.outstanding_qty) === 0)
+    ? "received"
+    : "partially_received";
+  await db.query(
+    "UPDATE purchaseorder SET status = ?, status_changed_at = NOW() WHERE purchaseOrderCode = ?",
+    [status, poCode]
+  );
+
+  return { order: { ...order, status }, lines: updatedLines };
+}
+
+// Move a purchase order to a new status if the workflow allows it. Call inside a transaction.
+async function changePurchaseOrderStatus(db, poCode, status, user) {
+  const [[order]] = await db.query(
+    "SELECT * FROM purchaseorder WHERE purchaseOrderCode = ? FOR UPDATE",
+    [poCode]
+  );
+  if (!order) {
+    throw purchasingError(404, `Purchase order ${poCode} not found.`);
+  }
+
+  const allowed = purchaseOrderTransitions[order.status] || [];
+  if (!allowed.includes(status)) {
+    throw purchasingError(409, `A ${order.status} purchase order cannot be moved to ${status}.`, {
+      code: "INVALID_STATUS",
+      allowed,
+    });
+  }
+
+  if (status === "approved") {
+    await db.query(
+      "UPDATE purchaseorder SET status = ?, approved_by = ?, approved_at = NOW(), status_changed_at = NOW() WHERE purchaseOrderCode = ?",
+      [status, user.id || null, poCode]
+    );
+  } else {
+    // Sending an approval back to draft clears it, so edits need approving again
+    await db.query(
+      `UPDATE purchaseorder SET status = ?, status_changed_at = NOW()
+         ${status === "draft" ? ", approved_by = NULL, approved_at = NULL" : ""}
+       WHERE purchaseOrderCode = ?`,
+      [status, poCode]
+    );
+  }
+
+  return { before: order, after: { ...order, status } };
+}
+
+// Replace the supplier, total and detail lines of a draft purchase order. Call inside a transaction.
+async function updateDraftPurchaseOrder(db, poCode, { supplier, orderDetails, totalCost }) {
+  const [[order]] = await db.query(
+    "SELECT * FROM purchaseorder WHERE purchaseOrderCode = ? FOR UPDATE",
+    [poCode]
+  );
+  if (!order) {
+    throw purchasingError(404, `Purchase order ${poCode} not found.`);
+  }
+  if (order.status !== "draft") {
+    throw purchasingError(409, `Only draft purchase orders can be edited; this one is ${order.status}.`, {
+      code: "INVALID_STATUS",
+    });
+  }
+
+  const [lines] = await db.query("SELECT * FROM purchaseorderdetails WHERE poCode = ?", [poCode]);
+
+  await db.query(
+    "UPDATE purchaseorder SET SupplierCode = ?, SupplierName = ?, TotalCost = ? WHERE purchaseOrderCode = ?",
+    [supplier.code, supplier.name, totalCost, poCode]
+  );
+  await db.query("DELETE FROM purchaseorderdetails WHERE poCode = ?", [poCode]);
+  await db.query(
+    "INSERT INTO purchaseorderdetails (poCode, ProductCode, productName, qty, cost) VALUES ?",
+    [orderDetails.map((item) => [poCode, item.sku, item.productName, item.quantity, item.cost])]
+  );
+
+  return {
+    before: { ...order, lines },
+    after: {
+      ...order,
+      SupplierCode: supplier.code,
+      SupplierName: supplier.name,
+      TotalCost: totalCost,
+      lines: orderDetails,
+    },
+  };
+}
+
+module.exports = {
+  purchaseOrderTransitions,
+  purchasingError,
+  duplicateSkus,
+  receiveGoods,
+  changePurchaseOrderStatus,
+  updateDraftPurchaseOrder,
+};
@@ -0,0 +1,99 @@
+// Purchase order statuses whose outstanding quantities are still expected to arrive
+const openOrderStatuses = ["draft", "approved", "sent", "partially_received"];
+
+// Find active products at or below their reorder point, with what is already on order.
+// Stock is the product total, or one location's balance when locationId is given.
+async function findLowStock(db, { locationId, supplier, category } = {}) {
+  const onHand = locationId
+    ? "COALESCE((SELECT b.quantity FROM stock_balances b WHERE b.sku = p.sku AND b.location_id = ?), 0)"
+    : "CAST(p.intQty AS SIGNED)";
+  const conditions = ["p.archived_at IS NULL", "p.reorder_point IS NOT NULL", `${onHand} <= p.reorder_point`];
+  const params = locationId ? [locationId, openOrderStatuses, locationId] : [openOrderStatuses];
+
+  if (supplier) {
+    conditions.push("p.preferred_supplier = ?");
+    params.push(supplier);
+  }
+  if (category) {
+    conditions.push("p.category = ?");
+    params.push(category);
+  }
+
+  const [rows] = await db.query(
+    `SELECT p.sku, p.productName, p.category, ${onHand} AS on_hand, p.reorder_point, p.reorder_qty,
+       COALESCE(oo.on_order, 0) AS on_order, CAST(p.cost AS DOUBLE) AS cost,
+       p.preferred_supplier, s.name AS supplier_name
+     FROM products p
+     LEFT JOIN (
+       SELECT d.ProductCode, SUM(GREATEST(d.qty - d.received_qty, 0)) AS on_order
+       FROM purchaseorderdetails d
+       JOIN purchaseorder o ON o.purchaseOrderCode = d.poCode
+       WHERE o.status IN (?)
+       GROUP BY d.ProductCode
+     ) oo ON oo.ProductCode = p.sku
+     LEFT JOIN suppliers s ON s.code = p.preferred_supplier AND s.archived_at IS NULL
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY s.name, p.productName`,
+    params
+  );
+
+  return rows.map((row) => {
+    const onHandQty = Number(row.on_hand);
+    const onOrder = Number(row.on_order);
+    const shortfall = Number(row.reorder_point) - onHandQty - onOrder;
+    return {
+      ...row,
+      on_hand: onHandQty,
+      on_order: onOrder,
+      // Nothing more is needed while open orders already lift stock above the reorder point
+      needs_order: shortfall >= 0,
+      suggested_qty: shortfall >= 0 ? Math.max(Number(row.reorder_qty) || 0, shortfall + 1) : 0,
+    };
+  });
+}
+
+// Draft one purchase order per preferred supplier for the low-stock products that still need
+// ordering. nextCode issues purchase order codes. Call inside a transaction.
+async function draftReorders(db, lowStock, nextCode) {
+  const bySupplier = new Map();
+  const skipped = [];
+
+  for (const product of lowStock.filter((item) => item.needs_order)) {
+    if (!product.preferred_supplier || !product.supplier_name) {
+      skipped.push({ sku: product.sku, reason: "no-preferred-supplier" });
+      continue;
+    }
+    if (!bySupplier.has(product.preferred_supplier)) {
+      bySupplier.set(product.preferred_supplier, { name: product.supplier_name, lines: [] });
+    }
+    bySupplier.get(product.preferred_supplier).lines.push(product);
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const orders = [];
+  for (const [supplierCode, { name, lines }] of bySupplier) {
+    const code = await nextCode();
+    const totalCost = lines.reduce((sum, line) => sum + line.suggested_qty * (line.cost || 0), 0);
+
+    await db.query(
+      `INSERT INTO purchaseorder (purchaseOrderCode, SupplierCode, SupplierName, TotalCost, postDate, docDate, status)
+       VALUES (?, ?, ?, ?, ?, ?, 'draft')`,
+      [code, supplierCode, name, totalCost, today, today]
+    );
+    await db.query(
+      "INSERT INTO purchaseorderdetails (poCode, ProductCode, productName, qty, cost) VALUES ?",
+      [lines.map((line) => [code, line.sku, line.productName, line.suggested_qty, line.cost || 0])]
+    );
+
+    orders.push({
+      poCode: code,
+      supplier: { code: supplierCode, name },
+      totalCost,
+      lines: lines.map(({ sku, productName, suggested_qty, cost }) => ({ sku, productName, quantity: suggested_qty, cost })),
+    });
+  }
+
+  return { orders, skipped };
+}
+
+module.exports = { findLowStock, draftReorders };
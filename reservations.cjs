@@ -0,0 +1,155 @@
+// How long a reservation holds stock when no expiry is given (RESERVATION_HOLD_HOURS, default 24)
+const defaultHoldHours = parseInt(process.env.RESERVATION_HOLD_HOURS, 10) || 24;
+
+// SQL condition for reservations that currently hold stock; expired ones stop holding it
+// straight away, before the sweep marks them expired
+const holdingCondition = "r.status = 'active' AND r.expires_at > NOW()";
+
+// Build an error carrying an HTTP status and optional details for the route to return
+function reservationError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+// Sum what active reservations hold per SKU at a location, optionally leaving one reservation out
+async function reservedQuantities(db, skus, locationId, excludeCode = null) {
+  const [rows] = await db.query(
+    `SELECT rl.sku, SUM(rl.quantity) AS reserved
+     FROM stock_reservation_lines rl
+     JOIN stock_reservations r ON r.code = rl.reservation_code
+     WHERE ${holdingCondition} AND r.location_id = ? AND rl.sku IN (?) AND r.code <> ?
+     GROUP BY rl.sku`,
+    [locationId, skus, excludeCode || ""]
+  );
+  return new Map(rows.map((row) => [row.sku, Number(row.reserved)]));
+}
+
+// Check that the lines fit in the stock at a location that other reservations do not hold.
+// Locks the products and balances until the caller commits. Call inside a transaction.
+async function assertAvailable(db, lines, locationId, { excludeCode = null, allowNegative = false } = {}) {
+  if (allowNegative) {
+    return;
+  }
+
+  const totals = new Map();
+  for (const { sku, quantity } of lines) {
+    totals.set(sku, (totals.get(sku) || 0) + Number(quantity));
+  }
+  const skus = [...totals.keys()].sort(); // Lock rows in a fixed order to avoid deadlocks
+
+  const [products] = await db.query("SELECT sku FROM products WHERE sku IN (?) ORDER BY sku FOR UPDATE", [skus]);
+  const [balances] = await db.query(
+    "SELECT sku, quantity FROM stock_balances WHERE location_id = ? AND sku IN (?) ORDER BY sku FOR UPDATE",
+    [locationId, skus]
+  );
+  const found = new Set(products.map((product) => product.sku));
+  const onHand = new Map(balances.map((balance) => [balance.sku, Number(balance.quantity)]));
+  const reserved = await reservedQuantities(db, skus, locationId, excludeCode);
+
+  const shortages = [];
+  for (const sku of skus) {
+    const requested = totals.get(sku);
+    const stock = onHand.get(sku) || 0;
+    const available = stock - (reserved.get(sku) || 0);
+
+    if (!found.has(sku)) {
+      shortages.push({ sku, requested, available: null, reason: "not-found" });
+    } else if (available < requested) {
+      shortages.push({
+        sku,
+        requested,
+        available: Math.max(available, 0),
+        reserved: reserved.get(sku) || 0,
+        reason: stock >= requested ? "reserved" : "insufficient-stock",
+      });
+    }
+  }
+
+  if (shortages.length > 0) {
+    throw reservationError(409, `Insufficient stock for SKU ${shortages.map((shortage) => shortage.sku).join(", ")}.`, {
+      code: "INSUFFICIENT_STOCK",
+      shortages,
+    });
+  }
+}
+
+// Reserve stock at a location until expiresAt. Call inside a transaction.
+async function createReservation(db, { code, customerCode, locationId, lines, expiresAt, notes, user }) {
+  await assertAvailable(db, lines, locationId);
+
+  // The expiry is worked out on the DB clock, which is what holdingCondition compares it with
+  const holdSeconds = expiresAt
+    ? Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000)
+    : defaultHoldHours * 60 * 60;
+  await db.query(
+    `INSERT INTO stock_reservations (code, customer_code, location_id, notes, expires_at, created_by)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND), ?)`,
+    [code, customerCode || null, locationId, notes || null, holdSeconds, user.id || null]
+  );
+  const [[{ expires_at: expiry }]] = await db.query("SELECT expires_at FROM stock_reservations WHERE code = ?", [
+    code,
+  ]);
+  await db.query(
+    "INSERT INTO stock_reservation_lines (reservation_code, sku, quantity) VALUES ?",
+    [lines.map((line) => [code, line.sku, Number(line.quantity)])]
+  );
+
+  return { code, locationId, expiresAt: expiry, lines };
+}
+
+// Lock a reservation that still holds stock, failing if it expired or was already closed
+async function lockActiveReservation(db, code) {
+  const [[reservation]] = await db.query(
+    "SELECT *, expires_at <= NOW() AS expired FROM stock_reservations WHERE code = ? FOR UPDATE",
+    [code]
+  );
+  if (!reservation) {
+    throw reservationError(404, `Reservation ${code} not found.`);
+  }
+  if (reservation.status !== "active" || reservation.expired) {
+    const status = reservation.status === "active" ? "expired" : reservation.status;
+    throw reservationError(409, `Reservation ${code} is ${status}.`, { code: "RESERVATION_CLOSED" });
+  }
+
+  const [lines] = await db.query("SELECT * FROM stock_reservation_lines WHERE reservation_code = ?", [code]);
+  return { ...reservation, lines };
+}
+
+// Release a reservation before it expires. Call inside a transaction.
+async function cancelReservation(db, code) {
+  await lockActiveReservation(db, code);
+  await db.query(
+    "UPDATE stock_reservations SET status = 'released', released_at = NOW() WHERE code = ?",
+    [code]
+  );
+}
+
+// Close a reservation that was sold on an invoice; anything not sold is released with it
+async function convertReservation(db, code, invoiceCode) {
+  await db.query(
+    "UPDATE stock_reservations SET status = 'converted', released_at = NOW(), invoice_code = ? WHERE code = ?",
+    [invoiceCode, code]
+  );
+}
+
+// Mark reservations past their expiry as expired, returning how many were released
+async function releaseExpiredReservations(db) {
+  const [result] = await db.query(
+    "UPDATE stock_reservations SET status = 'expired', released_at = NOW() WHERE status = 'active' AND expires_at <= NOW()"
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  holdingCondition,
+  reservationError,
+  reservedQuantities,
+  assertAvailable,
+  createReservation,
+  lockActiveReservation,
+  cancelReservation,
+  convertReservation,
+  releaseExpiredReservations,
+};
@@ -0,0 +1,161 @@
+const { recordStockMovement } = require("./stock.cjs");
+const { adjustStoreCredit } = require("./credit.cjs");
+const { roundMoney } = require("./pricing.cjs");
+
+// How a return can be paid back, and what can happen to the returned items
+const refundMethods = ["cash", "card", "store-credit"];
+const itemConditions = ["restock", "damaged"];
+
+// Build an error carrying an HTTP status and optional details for the route to return
+function returnsError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+// What was sold on an invoice per SKU and lot, with what has been returned already and the
+// net unit price (after line discounts) and unit cost a return is credited at
+async function returnableLines(db, invoiceCode) {
+  const [sold] = await db.query(
+    `SELECT sku, lot_number, MAX(expiry_date) AS expiry_date, MAX(name) AS name,
+       CAST(SUM(quantity) AS SIGNED) AS sold,
+       CAST(SUM(quantity * price * (1 - COALESCE(discount, 0) / 100)) / SUM(quantity) AS DOUBLE) AS unit_price,
+       CAST(SUM(quantity * unit_cost) / SUM(quantity) AS DOUBLE) AS unit_cost
+     FROM cart_items
+     WHERE invoice_code = ?
+     GROUP BY sku, lot_number
+     ORDER BY sku, lot_number`,
+    [invoiceCode]
+  );
+  const [returned] = await db.query(
+    `SELECT l.sku, l.lot_number, CAST(SUM(l.quantity) AS SIGNED) AS returned
+     FROM credit_note_lines l
+     JOIN credit_notes c ON c.code = l.credit_note_code
+     WHERE c.invoice_code = ?
+     GROUP BY l.sku, l.lot_number`,
+    [invoiceCode]
+  );
+
+  const key = (row) => `${row.sku}|${row.lot_number || ""}`;
+  const returnedByKey = new Map(returned.map((row) => [key(row), Number(row.returned)]));
+
+  return sold.map((row) => {
+    const alreadyReturned = returnedByKey.get(key(row)) || 0;
+    return { ...row, returned: alreadyReturned, returnable: Number(row.sold) - alreadyReturned };
+  });
+}
+
+// Issue a credit note for items returned from an invoice. Returned quantities are limited to
+// what was sold and not yet returned; restocked items go back into stock (into their original
+// lot, at their original cost) and damaged ones do not. Call inside a transaction.
+async function createCreditNote(db, { code, invoiceCode, lines, reason, refundMethod, locationId, user }) {
+  const [[invoice]] = await db.query("SELECT * FROM sales_invoices WHERE code = ? FOR UPDATE", [invoiceCode]);
+  if (!invoice) {
+    throw returnsError(404, `Invoice ${invoiceCode} not found.`);
+  }
+  if (!["completed", "partially_returned"].includes(invoice.status)) {
+    throw returnsError(409, `Items cannot be returned from an invoice that is ${invoice.status}.`, {
+      code: "INVALID_STATUS",
+    });
+  }
+  if (refundMethod === "store-credit" && !invoice.customer_id) {
+    throw returnsError(400, "Store credit needs an invoice with a customer.");
+  }
+
+  const groups = await returnableLines(db, invoiceCode);
+
+  // Match every requested line to what was sold, spreading it over lots when no lot is given
+  const problems = [];
+  const credited = [];
+  for (const line of lines) {
+    const candidates = groups.filter(
+      (group) => group.sku === line.sku && (!line.lotNumber || group.lot_number === line.lotNumber)
+    );
+    const returnable = candidates.reduce((sum, group) => sum + group.returnable, 0);
+
+    if (candidates.length === 0) {
+      problems.push({ sku: line.sku, lotNumber: line.lotNumber, reason: "not-on-invoice" });
+      continue;
+    }
+    if (Number(line.quantity) > returnable) {
+      problems.push({ sku: line.sku, lotNumber: line.lotNumber, reason: "over-return", requested: Number(line.quantity), returnable });
+      continue;
+    }
+
+    let remaining = Number(line.quantity);
+    for (const group of candidates) {
+      const take = Math.min(group.returnable, remaining);
+      if (take > 0) {
+        group.returnable -= take;
+        remaining -= take;
+        credited.push({
+          sku: group.sku,
+          name: group.name,
+          lotNumber: group.lot_number,
+          expiryDate: group.expiry_date,
+          quantity: take,
+          unitPrice: group.unit_price,
+          amount: roundMoney(take * group.unit_price),
+          unitCost: group.unit_cost,
+          condition: line.condition || "restock",
+        });
+      }
+    }
+  }
+  if (problems.length > 0) {
+    throw returnsError(409, "Some lines cannot be returned.", { code: "RETURN_REJECTED", problems });
+  }
+
+  const totalAmount = roundMoney(credited.reduce((sum, line) => sum + line.amount, 0));
+  const restockLocation = locationId || invoice.location_id;
+
+  await db.query(
+    `INSERT INTO credit_notes
+       (code, invoice_code, customer_id, location_id, reason, refund_method, total_amount, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [code, invoiceCode, invoice.customer_id, restockLocation, reason || null, refundMethod, totalAmount, user.id || null]
+  );
+
+  for (const line of [...credited].sort((a, b) => (a.sku < b.sku ? -1 : 1))) {
+    await db.query(
+      `INSERT INTO credit_note_lines
+         (credit_note_code, sku, lot_number, quantity, unit_price, amount, unit_cost, item_condition)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [code, line.sku, line.lotNumber, line.quantity, line.unitPrice, line.amount, line.unitCost, line.condition]
+    );
+
+    if (line.condition === "restock") {
+      await recordStockMovement(db, {
+        sku: line.sku,
+        type: "return",
+        quantity: line.quantity,
+        reason: `Returned on ${code}`,
+        referenceType: "credit-note",
+        referenceCode: code,
+        user,
+        locationId: restockLocation,
+        unitCost: line.unitCost,
+        lot: line.lotNumber ? { lotNumber: line.lotNumber, expiryDate: line.expiryDate } : null,
+      });
+    }
+  }
+
+  let storeCredit = null;
+  if (refundMethod === "store-credit") {
+    storeCredit = await adjustStoreCredit(db, {
+      customerCode: invoice.customer_id,
+      amount: totalAmount,
+      referenceType: "credit-note",
+      referenceCode: code,
+      user,
+    });
+  }
+
+  const status = groups.every((group) => group.returnable === 0) ? "returned" : "partially_returned";
+  await db.query("UPDATE sales_invoices SET status = ? WHERE code = ?", [status, invoiceCode]);
+
+  return { code, invoiceCode, refundMethod, totalAmount, lines: credited, storeCredit, invoiceStatus: status };
+}
+
+module.exports = { returnsError, refundMethods, itemConditions, returnableLines, createCreditNote };
@@ -12,16 +12,131 @@ const path = require("path"); // Module for handling file and directory paths
 const { fileURLToPath } = require("url"); // Function for converting file URLs to paths
 const { console } = require("inspector"); // Inspector console for debugging
 const SSHDBConnection = require("./db.cjs"); // Importing the database connection module
-const { saveSessionData, getSessionData } = require("./utils.cjs"); // Importing session management functions
+const {
+  jwtSecret,
+  isDisabledStatus,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  createApiKey,
+  authenticate,
+  requireUserSession,
+  authorize,
+} = require("./auth.cjs"); // Importing authentication, token and permission helpers
+const {
+  ipRetryAfter,
+  recordIpFailure,
+  userRetryAfter,
+  recordUserFailure,
+  clearUserFailures,
+} = require("./throttle.cjs"); // Importing failed login tracking
+const {
+  validatePassword,
+  createResetToken,
+  findResetTokenUser,
+  consumeResetToken,
+  setResetTokenSender,
+  canDeliverResetTokens,
+  deliverResetToken,
+} = require("./passwords.cjs"); // Importing the password policy and reset token helpers
+const { createMailTransport, resetTokenMailer } = require("./mailer.cjs"); // Importing email delivery
+const {
+  generateSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  claimTotpStep,
+  regenerateBackupCodes,
+  consumeBackupCode,
+} = require("./totp.cjs"); // Importing TOTP two-factor helpers
+const { snapshot, recordAudit } = require("./audit.cjs"); // Importing audit trail helpers
+const {
+  archivableEntities,
+  archiveRecord,
+  restoreRecord,
+  countReferences,
+  purgeRecord,
+} = require("./archive.cjs"); // Importing soft delete helpers
+const { requireSingleQueryValues, parseListQuery, fetchPage } = require("./pagination.cjs"); // Importing list paging, search and filter helpers
+const { withTransaction } = require("./transaction.cjs"); // Importing the transaction helper
+const { allowNegativeStock, recordStockMovement, deductStock } = require("./stock.cjs"); // Importing the stock movement ledger
+const { allocateLots, consumeAllocations } = require("./lots.cjs"); // Importing lot allocation
+const {
+  purchasingError,
+  duplicateSkus,
+  receiveGoods,
+  changePurchaseOrderStatus,
+  updateDraftPurchaseOrder,
+} = require("./purchasing.cjs"); // Importing purchase order receiving and workflow
+const {
+  resolveLocation,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+} = require("./locations.cjs"); // Importing stock locations and transfers
+const {
+  startStocktake,
+  recordCounts,
+  varianceReport,
+  postStocktake,
+  cancelStocktake,
+} = require("./stocktake.cjs"); // Importing stocktake sessions
+const { findLowStock, draftReorders } = require("./reorder.cjs"); // Importing reorder points
+const { costingMethod } = require("./costing.cjs"); // Importing the inventory costing method
+const {
+  holdingCondition,
+  assertAvailable,
+  createReservation,
+  lockActiveReservation,
+  cancelReservation,
+  convertReservation,
+  releaseExpiredReservations,
+} = require("./reservations.cjs"); // Importing stock reservations
+const { loadInvoice, voidInvoice } = require("./invoices.cjs"); // Importing invoice lookup and voiding
+const { settleTenders, recordPayments } = require("./payments.cjs"); // Importing split-tender payments
+const { priceInvoice } = require("./pricing.cjs"); // Importing invoice pricing rules
+const { verifyApproval } = require("./approvals.cjs"); // Importing manager approval at the till
+const { refundMethods, itemConditions, createCreditNote } = require("./returns.cjs"); // Importing sales returns and credit notes
+const { allPermissions, userOnlyPermissions, getRolePermissions, hasPermission } = require("./permissions.cjs"); // Importing the permission list and role permission map
 
 dotenv.config(); // Load environment variables from a .env file
 
+// Email reset tokens to users when SMTP is configured; without it only admins can issue resets
+const mailTransport = createMailTransport();
+if (mailTransport) {
+  setResetTokenSender(resetTokenMailer(mailTransport));
+} else {
+  console.warn("SMTP_HOST is not set; self-service password reset is disabled."); // Warn that the reset route will answer 501
+}
+
 const app = express(); // Create an instance of the Express application
 const port = 3001; // Define the port for the server
 
 // Middleware setup
 app.use(cors()); // Enable CORS for all routes
 app.use(bodyParser.json()); // Parse JSON request bodies
+app.use("/api", requireSingleQueryValues); // Reject repeated query parameters
+
+// Every /api route requires a valid token except the public ones listed here
+const publicRoutes = [
+  "/hello",
+  "/login",
+  "/token/refresh",
+  "/logout",
+  "/login/2fa",
+  "/password-reset/request",
+  "/password-reset/confirm",
+];
+app.use("/api", (req, res, next) => {
+  if (publicRoutes.includes(req.path)) {
+    return next();
+  }
+  authenticate(req, res, next);
+});
 
 // API endpoint to test server functionality
 app.get("/api/hello", (req, res) => {
@@ -33,6 +148,14 @@ app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 
 // Create new user in the database
 const createNewUser = async (username, password, email, role) => {
+  // Enforce the password policy before touching the database
+  const passwordProblems = validatePassword(password, username);
+  if (passwordProblems.length > 0) {
+    const error = new Error(passwordProblems.join(" "));
+    error.status = 400;
+    throw error;
+  }
+
   try {
     // Hash the password
     const hashedPassword = await bcrypt.hash(password, 10);
@@ -48,9 +171,9 @@ const createNewUser = async (username, password, email, role) => {
       throw new Error(`Role "${role}" does not exist.`); // Error if role does not exist
     }
 
-    // Insert user into the database
+    // Insert user into the database; accounts created by an admin must set their own password on first login
     const [result] = await db.query(
-      "INSERT INTO users (username, password, email, role, roleid) VALUES (?, ?, ?, ?, ?)",
+      "INSERT INTO users (username, password, email, role, roleid, must_change_password) VALUES (?, ?, ?, ?, ?, 1)",
       [username, hashedPassword, email, role, roleId]
     );
 
@@ -61,7 +184,7 @@ const createNewUser = async (username, password, email, role) => {
 };
 
 // API endpoint to create a new user
-app.post("/api/create-user", async (req, res) => {
+app.post("/api/create-user", authorize("users:manage"), async (req, res) => {
   const { username, password, email, role } = req.body;
 
   try {
@@ -72,15 +195,22 @@ app.post("/api/create-user", async (req, res) => {
 
     // Create the new user
     const userId = await createNewUser(username, password, email, role);
+    const pool = await SSHDBConnection;
+    await recordAudit(pool, req, {
+      action: "create",
+      entity: "user",
+      entityKey: userId,
+      after: await snapshot(pool, "users", "id", userId),
+    });
     res.status(201).json({ message: "User created successfully", id: userId }); // Success response
   } catch (error) {
     console.error("Error creating user:", error.message); // Log error
-    res.status(500).json({ message: error.message }); // Error response
+    res.status(error.status || 500).json({ message: error.message }); // Error response
   }
 });
 
 // API endpoint to update user information
-app.put("/api/update-user/:id", async (req, res) => {
+app.put("/api/update-user/:id", authorize("users:manage"), async (req, res) => {
   try {
     const { id } = req.params; // Extract user ID from URL params
     const { username, email, password, role } = req.body;
@@ -92,20 +222,51 @@ app.put("/api/update-user/:id", async (req, res) => {
     }
 
     const pool = await SSHDBConnection;
+    const before = await snapshot(pool, "users", "id", id);
+    if (!before) {
+      return res.status(404).json({ message: "User not found." }); // Error if user not found
+    }
+
+    // Permissions come from roleid, so it has to follow the role name
+    const [[roleRow]] = await pool.query("SELECT id FROM userroles WHERE role = ?", [role]);
+    if (!roleRow) {
+      return res.status(400).json({ message: `Role "${role}" does not exist.` }); // Error if role does not exist
+    }
+    const roleChanged = String(before.roleid) !== String(roleRow.id) || before.role !== role;
 
     if (password) {
-      // Hash the password if provided
+      const passwordProblems = validatePassword(password, username);
+      if (passwordProblems.length > 0) {
+        return res.status(400).json({ message: passwordProblems.join(" ") }); // Error if password breaks the policy
+      }
+
+      // Hash the password if provided; a password set by someone else must be changed on next login
       const hashedPassword = await bcrypt.hash(password, 10);
+      const mustChangePassword = String(req.user.id) === String(id) ? 0 : 1;
       const updateQuery =
-        "UPDATE users SET username = ?, email = ?, password = ?, role = ? WHERE id = ?";
-      await pool.query(updateQuery, [username, email, hashedPassword, role, id]);
+        "UPDATE users SET username = ?, email = ?, password = ?, role = ?, roleid = ?, must_change_password = ? WHERE id = ?";
+      await pool.query(updateQuery, [username, email, hashedPassword, role, roleRow.id, mustChangePassword, id]);
+      await revokeAllUserTokens(pool, id); // Sign the user out everywhere after a password change
     } else {
       // Update without the password
       const updateQuery =
-        "UPDATE users SET username = ?, email = ?, role = ? WHERE id = ?";
-      await pool.query(updateQuery, [username, email, role, id]);
+        "UPDATE users SET username = ?, email = ?, role = ?, roleid = ? WHERE id = ?";
+      await pool.query(updateQuery, [username, email, role, roleRow.id, id]);
+
+      if (roleChanged) {
+        // Tokens issued under the old role stop working, so sessions pick up the new one
+        await pool.query("UPDATE users SET token_version = token_version + 1 WHERE id = ?", [id]);
+      }
     }
 
+    await recordAudit(pool, req, {
+      action: password ? "update-with-password" : "update",
+      entity: "user",
+      entityKey: id,
+      before,
+      after: await snapshot(pool, "users", "id", id),
+    });
+
     res.status(200).json({ message: "User updated successfully." }); // Success response
   } catch (error) {
     console.error("Error updating user:", error); // Log error
@@ -117,7 +278,7 @@ app.put("/api/update-user/:id", async (req, res) => {
 });
 
 // API endpoint to delete a user
-app.delete("/api/delete-user/:id", async (req, res) => {
+app.delete("/api/delete-user/:id", authorize("users:manage"), async (req, res) => {
   try {
     const { id } = req.params; // Extract the user ID from the route parameter
 
@@ -126,15 +287,18 @@ app.delete("/api/delete-user/:id", async (req, res) => {
     }
 
     const pool = await SSHDBConnection;
+    const before = await snapshot(pool, "users", "id", id);
 
     // Perform the delete operation
-    const result = await pool.query("DELETE FROM users WHERE id = ?", [id]);
+    const [result] = await pool.query("DELETE FROM users WHERE id = ?", [id]);
 
     if (result.affectedRows === 0) {
       // If no rows were affected, the ID does not exist
       return res.status(404).json({ message: "User not found." }); // Error if user not found
     }
 
+    await recordAudit(pool, req, { action: "delete", entity: "user", entityKey: id, before });
+
     res.status(200).json({ message: "User deleted successfully." }); // Success response
   } catch (error) {
     console.error("Error deleting user:", error); // Log error
@@ -146,7 +310,7 @@ app.delete("/api/delete-user/:id", async (req, res) => {
 });
 
 // API endpoint to update user status
-app.put("/api/update-user-status/:id", async (req, res) => {
+app.put("/api/update-user-status/:id", authorize("users:manage"), async (req, res) => {
   try {
     const { id } = req.params; // Extract user ID from URL params
     const { status } = req.body;
@@ -158,10 +322,23 @@ app.put("/api/update-user-status/:id", async (req, res) => {
     }
 
     const pool = await SSHDBConnection;
+    const before = await snapshot(pool, "users", "id", id);
 
     const updateQuery =
         "UPDATE users SET status = ? WHERE id = ?";
       await pool.query(updateQuery, [status, id]);
+
+    if (isDisabledStatus(status)) {
+      await revokeAllUserTokens(pool, id); // Disabled users lose all their sessions
+    }
+
+    await recordAudit(pool, req, {
+      action: "update-status",
+      entity: "user",
+      entityKey: id,
+      before,
+      after: await snapshot(pool, "users", "id", id),
+    });
    
 
     res.status(200).json({ message: "User status updated successfully." }); // Success response
@@ -174,46 +351,575 @@ app.put("/api/update-user-status/:id", async (req, res) => {
   }
 });
 
+// API endpoint to unlock an account locked by failed login attempts
+app.post("/api/users/:id/unlock", authorize("users:manage"), async (req, res) => {
+  try {
+    const { id } = req.params; // Extract user ID from URL params
+    const pool = await SSHDBConnection;
+
+    const [result] = await pool.query("SELECT id FROM users WHERE id = ?", [id]);
+    if (result.length === 0) {
+      return res.status(404).json({ message: "User not found." }); // Error if user not found
+    }
+
+    await clearUserFailures(pool, id);
+    await recordAudit(pool, req, { action: "unlock", entity: "user", entityKey: id });
+    res.status(200).json({ message: "User account unlocked successfully." }); // Success response
+  } catch (error) {
+    console.error("Error unlocking user:", error); // Log error
+    res.status(500).json({ message: "An error occurred while unlocking the user." }); // Error response
+  }
+});
+
+// Find a user together with the role name from the userroles table
+const findUserWithRole = async (db, field, value) => {
+  const [rows] = await db.query(
+    `SELECT u.*, r.requires_2fa, COALESCE(r.role, u.role) AS role
+     FROM users u
+     LEFT JOIN userroles r ON r.id = u.roleid
+     WHERE u.${field} = ?`,
+    [value]
+  );
+
+  return rows[0] || null;
+};
+
+// Build the login response body shared by login and token refresh
+const buildSessionResponse = (user, refreshToken) => ({
+  token: signAccessToken(user),
+  refreshToken,
+  user: {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    permissions: getRolePermissions(user.role),
+  },
+  mustChangePassword: Boolean(user.must_change_password),
+  twoFactorSetupRequired: Boolean(user.requires_2fa && !user.totp_enabled),
+});
+
 // API endpoint for user login
 app.post("/api/login", async (req, res) => {
   const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ message: "Username and password are required." }); // Error if fields are missing
+  }
+
+  // Slow down clients that keep failing from the same IP
+  const ipWait = ipRetryAfter(req.ip);
+  if (ipWait > 0) {
+    res.set("Retry-After", String(ipWait));
+    return res.status(429).json({
+      code: "LOGIN_THROTTLED",
+      message: "Too many failed login attempts. Please wait before trying again.",
+      retryAfter: ipWait,
+    }); // Error if the IP has to wait
+  }
+
   try {
     const db = await SSHDBConnection; 
-    const [rows] = await db.query("SELECT * FROM users WHERE username = ?", [
-      username,
-    ]);
+    const user = await findUserWithRole(db, "username", username);
 
-    if (rows.length === 0) {
+    if (!user) {
+      recordIpFailure(req.ip);
       return res.status(401).json({ message: "Invalid username or password" }); // Error if username not found
     }
 
-    const user = rows[0];
-    saveSessionData('role',user.role) // Save user role in session
+    // Refuse attempts while the account is locked or still inside its delay window
+    const { locked, retryAfter } = userRetryAfter(user);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(locked ? 423 : 429).json({
+        code: locked ? "ACCOUNT_LOCKED" : "LOGIN_THROTTLED",
+        message: locked
+          ? "Account is temporarily locked after too many failed login attempts."
+          : "Too many failed login attempts. Please wait before trying again.",
+        retryAfter,
+      }); // Error if the account has to wait
+    }
 
     // Check password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      recordIpFailure(req.ip);
+      const lockedUntil = await recordUserFailure(db, user);
+      if (lockedUntil) {
+        return res.status(423).json({
+          code: "ACCOUNT_LOCKED",
+          message: "Account is temporarily locked after too many failed login attempts.",
+          lockedUntil,
+        }); // Error if this failure locked the account
+      }
       return res.status(401).json({ message: "Invalid username or password" }); // Error if password does not match
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      process.env.JWT_SECRET || "default_secret", // Use environment variable
-      {
-        expiresIn: "1h", // Token expiration time
-      }
+    // Only the account's own failures are cleared; the IP's expire with their window, so logging
+    // into one account cannot reset the throttle for guesses against others
+    await clearUserFailures(db, user.id);
+
+    if (isDisabledStatus(user.status)) {
+      return res.status(403).json({
+        code: "ACCOUNT_DISABLED",
+        message: "This account has been disabled.",
+      }); // Error if the account is disabled
+    }
+
+    // Users with 2FA enabled get a challenge token and finish the login with /api/login/2fa
+    if (user.totp_enabled) {
+      return res.json({
+        message: "Two-factor authentication code required",
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user),
+      }); // Success response with the 2FA challenge
+    }
+
+    // Generate the access and refresh tokens
+    const { token: refreshToken } = await issueRefreshToken(db, user.id);
+
+    res.json({
+      message: "Login successful",
+      ...buildSessionResponse(user, refreshToken),
+    }); // Success response with tokens and the user's permissions
+  } catch (error) {
+    console.error("Error logging in:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint for the second login step, checking a TOTP or backup code
+app.post("/api/login/2fa", async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  if (!challengeToken || (!code && !backupCode)) {
+    return res.status(400).json({ message: "Challenge token and a code are required." }); // Error if fields are missing
+  }
+
+  const challenge = verifyChallengeToken(challengeToken);
+  if (!challenge) {
+    return res.status(401).json({
+      code: "CHALLENGE_INVALID",
+      message: "Login challenge expired. Please log in again.",
+    }); // Error if the challenge token is invalid or expired
+  }
+
+  try {
+    const db = await SSHDBConnection;
+    const user = await findUserWithRole(db, "id", challenge.id);
+
+    if (!user || challenge.tv !== user.token_version || isDisabledStatus(user.status) || !user.totp_enabled) {
+      return res.status(401).json({
+        code: "CHALLENGE_INVALID",
+        message: "Login challenge expired. Please log in again.",
+      }); // Error if the account changed since the password step
+    }
+
+    const { locked, retryAfter } = userRetryAfter(user);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(locked ? 423 : 429).json({
+        code: locked ? "ACCOUNT_LOCKED" : "LOGIN_THROTTLED",
+        message: "Too many failed login attempts. Please wait before trying again.",
+        retryAfter,
+      }); // Error if the account has to wait
+    }
+
+    let verified = false;
+    if (code) {
+      const step = verifyTotp(user.totp_secret, code, user.totp_last_step);
+      verified = step !== null && (await claimTotpStep(db, user.id, step));
+    } else {
+      verified = await consumeBackupCode(db, user.id, backupCode);
+    }
+
+    if (!verified) {
+      await recordUserFailure(db, user);
+      return res.status(401).json({ code: "TWO_FACTOR_INVALID", message: "Invalid authentication code." }); // Error if the code does not match
+    }
+
+    await clearUserFailures(db, user.id);
+    const { token: refreshToken } = await issueRefreshToken(db, user.id);
+
+    res.json({
+      message: "Login successful",
+      ...buildSessionResponse(user, refreshToken),
+    }); // Success response with tokens and the user's permissions
+  } catch (error) {
+    console.error("Error verifying two-factor login:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to start TOTP enrolment, returning a new secret and its otpauth URI for a QR code
+app.post("/api/2fa/setup", requireUserSession, async (req, res) => {
+  try {
+    const db = await SSHDBConnection;
+
+    if (req.user.totp_enabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled." }); // Error if already enrolled
+    }
+
+    const secret = generateSecret();
+    await db.query("UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?", [
+      secret,
+      req.user.id,
+    ]);
+
+    res.status(200).json({ secret, otpauthUri: buildOtpauthUri(secret, req.user.username) }); // Success response with the secret
+  } catch (error) {
+    console.error("Error setting up two-factor authentication:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to finish TOTP enrolment by confirming a code from the authenticator app
+app.post("/api/2fa/enable", requireUserSession, async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const db = await SSHDBConnection;
+    const user = await findUserWithRole(db, "id", req.user.id);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled." }); // Error if already enrolled
+    }
+    if (!user.totp_secret) {
+      return res.status(400).json({ message: "Start two-factor setup first." }); // Error if setup was not started
+    }
+
+    const step = verifyTotp(user.totp_secret, code);
+    if (step === null) {
+      return res.status(400).json({ code: "TWO_FACTOR_INVALID", message: "Invalid authentication code." }); // Error if the code does not match
+    }
+
+    await db.query("UPDATE users SET totp_enabled = 1, totp_last_step = ? WHERE id = ?", [step, user.id]);
+    const backupCodes = await regenerateBackupCodes(db, user.id);
+    await recordAudit(db, req, { action: "enable-2fa", entity: "user", entityKey: user.id });
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled.",
+      backupCodes,
+    }); // Success response with backup codes, shown only this once
+  } catch (error) {
+    console.error("Error enabling two-factor authentication:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to replace the current user's backup codes
+app.post("/api/2fa/backup-codes", requireUserSession, async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const db = await SSHDBConnection;
+    const user = await findUserWithRole(db, "id", req.user.id);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled." }); // Error if not enrolled
+    }
+
+    const step = verifyTotp(user.totp_secret, code, user.totp_last_step);
+    if (step === null || !(await claimTotpStep(db, user.id, step))) {
+      return res.status(400).json({ code: "TWO_FACTOR_INVALID", message: "Invalid authentication code." }); // Error if the code does not match or was just used
+    }
+
+    const backupCodes = await regenerateBackupCodes(db, user.id);
+
+    res.status(200).json({ backupCodes }); // Success response with the new backup codes
+  } catch (error) {
+    console.error("Error regenerating backup codes:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint for the current user to turn off optional two-factor authentication
+app.post("/api/2fa/disable", requireUserSession, async (req, res) => {
+  const { password, code } = req.body;
+
+  try {
+    const db = await SSHDBConnection;
+    const user = await findUserWithRole(db, "id", req.user.id);
+
+    if (user.requires_2fa) {
+      return res.status(403).json({ message: "Your role requires two-factor authentication." }); // Error if 2FA is mandatory
+    }
+
+    const passwordMatches = password && (await bcrypt.compare(password, user.password));
+    if (!passwordMatches || verifyTotp(user.totp_secret, code, user.totp_last_step) === null) {
+      return res.status(400).json({ message: "Password and a valid authentication code are required." }); // Error if not confirmed
+    }
+
+    await db.query(
+      "UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE id = ?",
+      [user.id]
+    );
+    await db.query("DELETE FROM user_backup_codes WHERE user_id = ?", [user.id]);
+    await recordAudit(db, req, { action: "disable-2fa", entity: "user", entityKey: user.id });
+
+    res.status(200).json({ message: "Two-factor authentication disabled." }); // Success response
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint for an admin to reset a user's two-factor authentication after a lost device
+app.post("/api/users/:id/2fa/reset", authorize("users:manage"), async (req, res) => {
+  try {
+    const { id } = req.params; // Extract user ID from URL params
+    const db = await SSHDBConnection;
+
+    const [result] = await db.query(
+      "UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE id = ?",
+      [id]
     );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "User not found." }); // Error if user not found
+    }
+
+    await db.query("DELETE FROM user_backup_codes WHERE user_id = ?", [id]);
+    await revokeAllUserTokens(db, id);
+    await recordAudit(db, req, { action: "reset-2fa", entity: "user", entityKey: id });
+
+    res.status(200).json({ message: "Two-factor authentication reset." }); // Success response
+  } catch (error) {
+    console.error("Error resetting two-factor authentication:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to exchange a refresh token for a new access token
+app.post("/api/token/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: "Refresh token is required." }); // Error if token is missing
+  }
+
+  try {
+    const db = await SSHDBConnection;
+    const rotated = await withTransaction(db, (connection) => rotateRefreshToken(connection, refreshToken));
+
+    if (!rotated) {
+      return res.status(401).json({
+        code: "REFRESH_TOKEN_INVALID",
+        message: "Session expired. Please log in again.",
+      }); // Error if the refresh token is unknown, expired or revoked
+    }
+
+    const user = await findUserWithRole(db, "id", rotated.userId);
+
+    if (!user || isDisabledStatus(user.status)) {
+      await revokeRefreshToken(db, rotated.refreshToken);
+      return res.status(401).json({
+        code: "REFRESH_TOKEN_INVALID",
+        message: "Session expired. Please log in again.",
+      }); // Error if the user was removed or disabled
+    }
+
+    res.status(200).json(buildSessionResponse(user, rotated.refreshToken)); // Success response with new tokens
+  } catch (error) {
+    console.error("Error refreshing token:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to log out, revoking the refresh token and the current access token
+app.post("/api/logout", async (req, res) => {
+  const { refreshToken } = req.body;
+  const [scheme, accessToken] = (req.headers.authorization || "").split(" ");
+
+  try {
+    const db = await SSHDBConnection;
+
+    if (refreshToken) {
+      await revokeRefreshToken(db, refreshToken);
+    }
+
+    let payload = null;
+    try {
+      payload = scheme === "Bearer" && accessToken ? jwt.verify(accessToken, jwtSecret) : null;
+    } catch (error) {
+      // An expired or invalid access token has nothing left to revoke
+    }
+
+    if (payload) {
+      await revokeAccessToken(db, payload);
+    }
+
+    res.status(200).json({ message: "Logged out successfully." }); // Success response
+  } catch (error) {
+    console.error("Error logging out:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint for the current user to change their own password
+app.post("/api/change-password", requireUserSession, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ message: "Current and new password are required." }); // Error if fields are missing
+  }
+
+  try {
+    const db = await SSHDBConnection;
+    const user = await findUserWithRole(db, "id", req.user.id);
 
-    res.json({ message: "Login successful", token }); // Success response with token
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: "Current password is incorrect." }); // Error if password does not match
+    }
+
+    const passwordProblems = validatePassword(newPassword, user.username);
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({ message: passwordProblems.join(" ") }); // Error if password breaks the policy
+    }
+
+    if (await bcrypt.compare(newPassword, user.password)) {
+      return res.status(400).json({ message: "New password must be different from the current one." }); // Error if password is reused
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await db.query("UPDATE users SET password = ?, must_change_password = 0 WHERE id = ?", [
+      hashedPassword,
+      user.id,
+    ]);
+
+    // End every other session and hand this client a fresh one
+    await revokeAllUserTokens(db, user.id);
+    await recordAudit(db, req, { action: "change-password", entity: "user", entityKey: user.id });
+    const updatedUser = await findUserWithRole(db, "id", user.id);
+    const { token: refreshToken } = await issueRefreshToken(db, user.id);
+
+    res.status(200).json({
+      message: "Password changed successfully.",
+      ...buildSessionResponse(updatedUser, refreshToken),
+    }); // Success response with new tokens
+  } catch (error) {
+    console.error("Error changing password:", error); // Log error
+    res.status(500).json({ message: "An error occurred while changing the password." }); // Error response
+  }
+});
+
+// API endpoint to request a password reset token for a forgotten password, emailed to the user.
+// Only available when SMTP is configured; until then an admin issues reset tokens.
+app.post("/api/password-reset/request", async (req, res) => {
+  const { username, email } = req.body;
+
+  if (!canDeliverResetTokens()) {
+    return res.status(501).json({
+      message: "Self-service password reset is not available. Please ask an administrator to reset your password.",
+    }); // Error if there is no way to deliver the token
+  }
+  if (!username && !email) {
+    return res.status(400).json({ message: "Username or email is required." }); // Error if fields are missing
+  }
+
+  try {
+    const db = await SSHDBConnection;
+    const user = username
+      ? await findUserWithRole(db, "username", username)
+      : await findUserWithRole(db, "email", email);
+
+    if (user && !isDisabledStatus(user.status)) {
+      const { token } = await createResetToken(db, user.id);
+      try {
+        await deliverResetToken(user, token);
+      } catch (error) {
+        // Logged without the token; the response stays the same so it cannot be used to probe usernames
+        console.error(`Error delivering password reset token to user ${user.id}:`, error.message);
+      }
+    }
+
+    // Same response whether or not the account exists, so it cannot be used to probe usernames
+    res.status(200).json({ message: "If the account exists, a password reset token has been issued." });
+  } catch (error) {
+    console.error("Error requesting password reset:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint for an admin to issue a password reset token on behalf of a user
+app.post("/api/users/:id/password-reset", authorize("users:manage"), async (req, res) => {
+  try {
+    const { id } = req.params; // Extract user ID from URL params
+    const db = await SSHDBConnection;
+    const user = await findUserWithRole(db, "id", id);
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found." }); // Error if user not found
+    }
+
+    const { token, expiresAt } = await createResetToken(db, user.id, req.user.id);
+    await recordAudit(db, req, { action: "issue-password-reset", entity: "user", entityKey: user.id });
+    res.status(201).json({ message: "Password reset token created.", token, expiresAt }); // Success response with the token
+  } catch (error) {
+    console.error("Error creating password reset token:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to set a new password using a reset token
+app.post("/api/password-reset/confirm", async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || !newPassword) {
+    return res.status(400).json({ message: "Token and new password are required." }); // Error if fields are missing
+  }
+
+  try {
+    const db = await SSHDBConnection;
+    const userId = await findResetTokenUser(db, token);
+    const user = userId ? await findUserWithRole(db, "id", userId) : null;
+
+    if (!user) {
+      return res.status(400).json({ code: "RESET_TOKEN_INVALID", message: "Reset token is invalid or has expired." }); // Error if token is not usable
+    }
+
+    const passwordProblems = validatePassword(newPassword, user.username);
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({ message: passwordProblems.join(" ") }); // Error if password breaks the policy
+    }
+
+    if (!(await consumeResetToken(db, token))) {
+      return res.status(400).json({ code: "RESET_TOKEN_INVALID", message: "Reset token is invalid or has expired." }); // Error if token was used meanwhile
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await db.query("UPDATE users SET password = ?, must_change_password = 0 WHERE id = ?", [
+      hashedPassword,
+      userId,
+    ]);
+    await revokeAllUserTokens(db, userId);
+    await clearUserFailures(db, userId);
+    await recordAudit(db, req, { action: "reset-password", entity: "user", entityKey: userId, actor: user });
+
+    res.status(200).json({ message: "Password has been reset. Please log in with the new password." }); // Success response
   } catch (error) {
-    res.status(500).json({ message: "Internal server error" + error }); // Error response
+    console.error("Error resetting password:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
 });
 
-// API endpoint to get user role from session
-app.get('/get-the-role', (req, res) => {
-  const role = getSessionData('role');
+// API endpoint to get the current user's profile and permissions
+app.get("/api/me", (req, res) => {
+  const { id, username, email, status, role, permissions, totp_enabled } = req.user;
+  res.status(200).json({
+    id,
+    username,
+    email,
+    status,
+    role,
+    permissions,
+    twoFactorEnabled: Boolean(totp_enabled),
+  }); // Success response with the current user
+});
+
+// API endpoint to get the current user's role
+app.get('/get-the-role', authenticate, (req, res) => {
+  const role = req.user.role;
 
   if (!role) {
     return res.status(404).json({ message: 'Role not found' }); // Error if role not found
@@ -223,7 +929,7 @@ app.get('/get-the-role', (req, res) => {
 });
 
 // API endpoint to create a new product category
-app.post("/api/create-product-category", async (req, res) => {
+app.post("/api/create-product-category", authorize("categories:write"), async (req, res) => {
   const { category } = req.body;
   try {
     console.log("req.body:", req.body);
@@ -236,6 +942,12 @@ app.post("/api/create-product-category", async (req, res) => {
       "INSERT INTO productcategories (Category, Status) VALUES (?, ?)",
       [category, 1] // Assuming status is 1 (active) by default
     );
+    await recordAudit(pool, req, {
+      action: "create",
+      entity: "category",
+      entityKey: result.insertId,
+      after: await snapshot(pool, "productcategories", "id", result.insertId),
+    });
     res.status(201).json({
       message: "Category created successfully",
       category: {
@@ -250,23 +962,28 @@ app.post("/api/create-product-category", async (req, res) => {
 });
 
 // API endpoint to get all product categories
-app.get("/api/get-product-categories", async (req, res) => {
+app.get("/api/get-product-categories", authorize("categories:read"), async (req, res) => {
   try {
     // Query the database for all unique product categories
     const pool = await SSHDBConnection; 
-    const [categories] = await pool.query(
-      "SELECT DISTINCT id,Category,Status FROM productcategories group by id,Category,Status"
+    const list = parseListQuery(req.query, {
+      searchColumns: ["Category"],
+      sortColumns: { id: "id", category: "Category", status: "Status" },
+      defaultSort: "Category",
+      filters: { status: "Status" },
+      archivable: true,
+    });
+    const page = await fetchPage(
+      pool,
+      "SELECT id, Category, Status, archived_at",
+      "FROM productcategories",
+      list
     );
-    console.log(categories);
-    // Check if categories are found
-    if (categories.length === 0) {
-      return res.status(404).json({ message: "No categories found" }); // Error if no categories found
-    }
 
     // Return the list of categories in the response
     res.status(200).json({
       success: true,
-      data: categories,
+      ...page,
     }); // Success response with categories
   } catch (error) {
     // Improved error logging with specific message
@@ -281,7 +998,7 @@ app.get("/api/get-product-categories", async (req, res) => {
 });
 
 // API endpoint to update a product category
-app.put("/api/update-product-category", async (req, res) => {
+app.put("/api/update-product-category", authorize("categories:write"), async (req, res) => {
   const { id, category } = req.body;
   try {
     console.log("req.body:", req.body);
@@ -290,10 +1007,18 @@ app.put("/api/update-product-category", async (req, res) => {
       return res.status(400).json({ message: "Category is required" }); // Error if category is missing
     }
     const pool = await SSHDBConnection; 
+    const before = await snapshot(pool, "productcategories", "id", id);
     await pool.query("UPDATE productcategories SET Category = ? WHERE id = ?", [
       category,
       id,
     ]);
+    await recordAudit(pool, req, {
+      action: "update",
+      entity: "category",
+      entityKey: id,
+      before,
+      after: await snapshot(pool, "productcategories", "id", id),
+    });
     res.status(200).json({
       message: "Category updated successfully",
       category: {
@@ -332,6 +1057,7 @@ const upload = multer({ storage }); // Initialize multer with the storage config
 // API endpoint to upload a product image
 app.post(
   "/api/upload-product-image",
+  authorize("products:write"),
   upload.single("image"),
   async (req, res) => {
     try {
@@ -350,22 +1076,55 @@ app.post(
 );
 
 // API endpoint to delete a product category
-app.delete("/api/delete-product-category", async (req, res) => {
+app.delete("/api/delete-product-category", authorize("categories:write"), async (req, res) => {
   try {
     const { id } = req.query; // Get the product category ID from the query parameters
     const pool = await SSHDBConnection; 
-    await pool.query("DELETE FROM productcategories WHERE id = ?", [id]);
-    res.status(200).json({ message: "Category deleted successfully" }); // Success response
+    const before = await snapshot(pool, "productcategories", "id", id);
+    if (!(await archiveRecord(pool, "category", id, req.user.id))) {
+      return res.status(404).json({ message: "Category not found or already archived" }); // Error if category not found
+    }
+    await recordAudit(pool, req, {
+      action: "archive",
+      entity: "category",
+      entityKey: id,
+      before,
+      after: await snapshot(pool, "productcategories", "id", id),
+    });
+    res.status(200).json({ message: "Category archived successfully" }); // Success response
   } catch (error) {
     console.log(error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
 });
 
+// Check the optional reorder settings of a product, returning an error message or null
+const reorderSettingsError = ({ reorderPoint, reorderQty }) => {
+  for (const [field, value] of Object.entries({ reorderPoint, reorderQty })) {
+    if (value !== undefined && value !== null && (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+      return `${field} must be a non-negative whole number`;
+    }
+  }
+  return null;
+};
+
 // API endpoint to add a product (with an already provided image URL)
-app.post("/api/add-product", async (req, res) => {
+app.post("/api/add-product", authorize("products:write"), async (req, res) => {
   try {
     // Extract product data from req.body
-    const { name, category, quantity, cost, price, image, maxDiscount } = req.body;
+    const {
+      name,
+      category,
+      quantity,
+      cost,
+      price,
+      image,
+      maxDiscount,
+      locationId,
+      reorderPoint,
+      reorderQty,
+      preferredSupplier,
+    } = req.body;
     let dicountAllowed=0;
 
     // Input validation
@@ -390,6 +1149,10 @@ app.post("/api/add-product", async (req, res) => {
     if (isNaN(maxDiscount) || maxDiscount < 0 || maxDiscount > 100) {
       return res.status(400).json({ message: "maxDiscount must be a non-negative number and in between 0 and 100" }); // Error if maxDiscount is invalid
     }
+    const reorderError = reorderSettingsError(req.body);
+    if (reorderError) {
+      return res.status(400).json({ message: reorderError }); // Error if reorder settings are invalid
+    }
 
     if(0 < maxDiscount &&  maxDiscount < 100){
       dicountAllowed=1; // Set discount allowed if within range
@@ -398,10 +1161,39 @@ app.post("/api/add-product", async (req, res) => {
     // Generate SKU and insert product data into the database
     const sku = await generateEntryCode(1);
     const pool = await SSHDBConnection; 
-    const [result] = await pool.query(
-      "INSERT INTO products (sku, productName, category, intQty,cost, price, image,maxDiscount,dicountAllowed) VALUES (?, ?, ?, ?, ?,?, ?, ?,?)",
-      [sku, name, category, quantity,cost, price, image,maxDiscount,dicountAllowed]
-    );
+    const result = await withTransaction(pool, async (db) => {
+      const location = await resolveLocation(db, locationId);
+
+      // Stock starts at zero and the initial quantity goes through the ledger
+      const [insertResult] = await db.query(
+        `INSERT INTO products (sku, productName, category, intQty,cost, price, image,maxDiscount,dicountAllowed,
+           reorder_point, reorder_qty, preferred_supplier)
+         VALUES (?, ?, ?, 0, ?,?, ?, ?,?, ?, ?, ?)`,
+        [
+          sku, name, category,cost, price, image,maxDiscount,dicountAllowed,
+          reorderPoint ?? null,
+          reorderQty ?? null,
+          preferredSupplier || null,
+        ]
+      );
+      await recordStockMovement(db, {
+        sku,
+        type: "opening",
+        quantity: Number(quantity),
+        reason: "Opening balance",
+        referenceType: "product",
+        referenceCode: sku,
+        user: req.user,
+        locationId: location.id,
+      });
+      return insertResult;
+    });
+    await recordAudit(pool, req, {
+      action: "create",
+      entity: "product",
+      entityKey: sku,
+      after: await snapshot(pool, "products", "sku", sku),
+    });
 
     // Return success response with inserted product details
     res.status(201).json({
@@ -417,9 +1209,15 @@ app.post("/api/add-product", async (req, res) => {
         image,
         maxDiscount,
         dicountAllowed,
+        reorderPoint: reorderPoint ?? null,
+        reorderQty: reorderQty ?? null,
+        preferredSupplier: preferredSupplier || null,
       },
     }); // Success response
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the location is unknown
+    }
     // Log the error for debugging
     console.error("Error adding product:", error);
     // Handle any errors
@@ -428,15 +1226,26 @@ app.post("/api/add-product", async (req, res) => {
 });
 
 // API endpoint to get all users
-app.get("/api/get-users", upload.single("image"), async (req, res) => {
+app.get("/api/get-users", authorize("users:read"), upload.single("image"), async (req, res) => {
   try {
     const pool = await SSHDBConnection; 
-    const [rows] = await pool.query("SELECT * FROM users");
+    const list = parseListQuery(req.query, {
+      searchColumns: ["username", "email"],
+      sortColumns: { id: "id", username: "username", email: "email", role: "role", status: "status" },
+      defaultSort: "username",
+      filters: { role: "role", status: "status" },
+    });
+
+    // Password hashes and 2FA secrets never leave the server
+    const page = await fetchPage(
+      pool,
+      "SELECT id, username, email, role, roleid, status, totp_enabled, locked_until",
+      "FROM users",
+      list
+    );
 
     // Return the list of users in the response
-    res.status(200).json({
-      users: rows,
-    }); // Success response with users
+    res.status(200).json(page); // Success response with users
   } catch (error) {
     console.error("Error retrieving users:", error); // Log error
     res.status(500).json({ message: "Internal server error" }); // Error response
@@ -444,11 +1253,43 @@ app.get("/api/get-users", upload.single("image"), async (req, res) => {
 });
 
 // API endpoint to get all products
-app.get("/api/get-products", async (req, res) => {
+app.get("/api/get-products", authorize("products:read"), async (req, res) => {
   try {
     // Query the database for all product categories
     const pool = await SSHDBConnection; 
-    const [rows] = await pool.query(
+    const lowStockThreshold = parseInt(req.query.lowStockThreshold, 10) || 10;
+
+    // With ?locationId= the quantity, sorting and low-stock filter use that location's balance
+    const location = req.query.locationId ? await resolveLocation(pool, req.query.locationId) : null;
+    const quantityColumn = location
+      ? `(SELECT COALESCE(SUM(b.quantity), 0) FROM stock_balances b WHERE b.sku = products.sku AND b.location_id = ${Number(location.id)})`
+      : "intQty";
+    const reservedColumn = `(SELECT COALESCE(SUM(rl.quantity), 0)
+      FROM stock_reservation_lines rl
+      JOIN stock_reservations r ON r.code = rl.reservation_code
+      WHERE rl.sku = products.sku AND ${holdingCondition}${location ? ` AND r.location_id = ${Number(location.id)}` : ""})`;
+    const list = parseListQuery(req.query, {
+      searchColumns: ["sku", "productName"],
+      sortColumns: {
+        sku: "sku",
+        name: "productName",
+        category: "category",
+        quantity: quantityColumn,
+        cost: "cost",
+        price: "price",
+      },
+      defaultSort: "productName",
+      filters: {
+        category: "category",
+        status: "status",
+        minPrice: (value) => ["price >= ?", [value]],
+        maxPrice: (value) => ["price <= ?", [value]],
+        lowStock: (value) => (value === "true" ? [`${quantityColumn} <= ?`, [lowStockThreshold]] : null),
+      },
+      archivable: true,
+    });
+    const page = await fetchPage(
+      pool,
       `SELECT 
       id,
       sku,
@@ -456,34 +1297,54 @@ app.get("/api/get-products", async (req, res) => {
       category,
       CAST(intQty AS SIGNED) AS intQty,
       CAST(cost AS DOUBLE) AS cost,
+      CAST(avg_cost AS DOUBLE) AS avg_cost,
       CAST(price AS DOUBLE) AS price,
       image,
       maxDiscount,
       status,
-      dicountAllowed
-       FROM products  `
+      dicountAllowed,
+      reorder_point,
+      reorder_qty,
+      preferred_supplier,
+      archived_at,${location ? `
+      CAST(${quantityColumn} AS SIGNED) AS locationQty,` : ""}
+      CAST(${reservedColumn} AS SIGNED) AS reservedQty,
+      CAST(${quantityColumn} - ${reservedColumn} AS SIGNED) AS availableQty`,
+      "FROM products",
+      list
     );
-    console.log(rows);
-    // Return the list of categories in the response
-    res.status(200).json(rows); // Success response with products
+    // Return the page of products in the response
+    res.status(200).json(page); // Success response with products
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the location is unknown
+    }
     console.error("Error retrieving categories:", error); // Log error
     res.status(500).json({ message: "Internal server error" }); // Error response
   }
 });
 
 // API endpoint to delete a product
-app.delete("/api/delete-product", async (req, res) => {
+app.delete("/api/delete-product", authorize("products:delete"), async (req, res) => {
   try {
     const { id } = req.body;  // Get the product ID from the request body
     console.log("Deleting product with ID:", id);
 
-    // Perform the deletion
+    // Archive the product; invoices and purchase orders still reference its SKU
     const pool = await SSHDBConnection; 
-    await pool.query("DELETE FROM products WHERE id = ?", [id]);
-    await pool.query("commit");
+    const before = await snapshot(pool, "products", "id", id);
+    if (!before || !(await archiveRecord(pool, "product", before.sku, req.user.id))) {
+      return res.status(404).json({ message: "Product not found or already archived" }); // Error if product not found
+    }
+    await recordAudit(pool, req, {
+      action: "archive",
+      entity: "product",
+      entityKey: before.sku,
+      before,
+      after: await snapshot(pool, "products", "sku", before.sku),
+    });
 
-    res.status(200).json({ message: "Product deleted successfully", id }); // Success response
+    res.status(200).json({ message: "Product archived successfully", id }); // Success response
   } catch (error) {
     console.error("Error deleting product:", error); // Log error
     res.status(500).json({ message: "Internal server error" }); // Error response
@@ -491,8 +1352,9 @@ app.delete("/api/delete-product", async (req, res) => {
 });
 
 // API endpoint to update a product
-app.put("/api/update-product", async (req, res) => {
+app.put("/api/update-product", authorize("products:write"), async (req, res) => {
   const { sku, name, category, quantity, price, cost, image, maxDiscount } = req.body;
+  const { reorderPoint, reorderQty, preferredSupplier } = req.body;
 
   // Validate that required fields are present
   const missingFields = [];
@@ -513,36 +1375,63 @@ app.put("/api/update-product", async (req, res) => {
       message: `Missing required fields: ${missingFields.join(", ")}`, // Error if fields are missing
     });
   }
+  const reorderError = reorderSettingsError(req.body);
+  if (reorderError) {
+    return res.status(400).json({ message: reorderError }); // Error if reorder settings are invalid
+  }
  if (0<maxDiscount && maxDiscount<100){
   dicountAllowed =1; // Set discount allowed if within range
  }
 
   try {
-    // Update the product in the database
+    // Update the product in the database; stock only changes through the movement ledger
     const updateQuery = `
       UPDATE products
-      SET productName = ?, category = ?, intQty = ?, price = ?, cost = ?, image = ?, maxDiscount=?, dicountAllowed=?
+      SET productName = ?, category = ?, price = ?, cost = ?, image = ?, maxDiscount=?, dicountAllowed=?,
+        reorder_point = ?, reorder_qty = ?, preferred_supplier = ?
       WHERE sku = ?
     `;
 
     // Assuming you're using MySQL or a similar relational database
     const db = await SSHDBConnection; 
-    const result = await db.query(updateQuery, [
+    const before = await snapshot(db, "products", "sku", sku);
+
+    // If the SKU does not exist there is nothing to update
+    if (!before) {
+      return res.status(404).json({ message: "Product not found." }); // Error if product not found
+    }
+
+    // The quantity is the total over every location, so it cannot say which location changed;
+    // it may be sent back unchanged, but stock is adjusted per location through stock-adjustments
+    if (quantity !== undefined && quantity !== null && Number(quantity) !== Number(before.intQty)) {
+      return res.status(400).json({
+        code: "QUANTITY_READ_ONLY",
+        message: `Change stock with POST /api/products/${sku}/stock-adjustments and a locationId.`,
+      }); // Error if the quantity was edited here
+    }
+
+    await db.query(updateQuery, [
       name,
       category,
-      quantity,
       price,
       cost,
       image || null, // Use the new image or keep the old one
       maxDiscount,
       dicountAllowed,
+      // Reorder settings left out of the request keep their current values
+      reorderPoint === undefined ? before.reorder_point : reorderPoint,
+      reorderQty === undefined ? before.reorder_qty : reorderQty,
+      preferredSupplier === undefined ? before.preferred_supplier : preferredSupplier || null,
       sku,
     ]);
 
-    // If no rows were affected, the SKU was not found
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: "Product not found." }); // Error if product not found
-    }
+    await recordAudit(db, req, {
+      action: "update",
+      entity: "product",
+      entityKey: sku,
+      before,
+      after: await snapshot(db, "products", "sku", sku),
+    });
 
     return res.status(200).json({ message: "Product updated successfully." }); // Success response
   } catch (error) {
@@ -553,8 +1442,8 @@ app.put("/api/update-product", async (req, res) => {
   }
 });
 
-// API endpoint to auto-update inventory
-app.put("/api/auto-update-inventory", async (req, res) => {
+// API endpoint to deduct stock consumed outside an invoice (/api/save-invoice deducts its own stock)
+app.put("/api/auto-update-inventory", authorize("inventory:write"), async (req, res) => {
   const { products } = req.body;
   console.log(products);
 
@@ -576,231 +1465,898 @@ app.put("/api/auto-update-inventory", async (req, res) => {
     });
   }
 
+  // Validate every quantity before touching stock
+  const invalidQuantities = products.filter(
+    ({ quantity }) => !Number.isInteger(Number(quantity)) || Number(quantity) <= 0
+  );
+  if (invalidQuantities.length > 0) {
+    return res.status(400).json({
+      message: "Quantity must be a whole number greater than zero for SKU: " + invalidQuantities.map(({ sku }) => sku).join(", "), // Error if quantity is invalid
+    });
+  }
+
   try {
-    // Process each product in the array and update the database
-    for (const { sku, quantity } of products) {
-      if (quantity <= 0) {
-        // Optionally check if the quantity is valid (greater than zero)
-        return res.status(400).json({
-          message: "Quantity must be greater than zero for SKU: " + sku, // Error if quantity is invalid
-        });
+    // Deduct every product in one transaction, so a short SKU leaves nothing half-applied
+    const db = await SSHDBConnection; 
+    await withTransaction(db, async (connection) => {
+      const location = await resolveLocation(connection, req.body.locationId);
+
+      // Sell from lots FEFO like an invoice does; expired lots are never sold, so a SKU with only
+      // expired stock left is reported short
+      const allocated = await allocateLots(connection, products, location.id);
+      for (const { allocations } of allocated) {
+        await consumeAllocations(connection, allocations);
       }
 
-      // SQL query to update the inventory based on SKU and quantity
-      const updateQuery = `
-        UPDATE products
-        SET intQty = intQty - ?
-        WHERE sku = ? AND intQty >= ?
-      `;
-
-      // Update the quantity in the database for each product
-      const db = await SSHDBConnection; 
-      const [result] = await db.query(updateQuery, [quantity, sku, quantity]);
-
-      // Check if the SKU was found and the quantity was updated
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ message: `Product with SKU ${sku} not found or insufficient stock.` }); // Error if product not found
+      await deductStock(connection, products, {
+        type: "sale",
+        reason: "Point of sale",
+        referenceType: req.body.invoiceCode ? "invoice" : null,
+        referenceCode: req.body.invoiceCode || null,
+        user: req.user,
+        allowNegative: false,
+        locationId: location.id,
+        lotsAllocated: true,
+      });
+
+      for (const { sku, quantity } of products) {
+        await recordAudit(connection, req, {
+          action: "deduct-stock",
+          entity: "product",
+          entityKey: sku,
+          after: { deducted: Number(quantity) },
+        });
       }
-    }
+    });
 
     // If all products were successfully updated
     return res.status(200).json({ message: "Products updated successfully." }); // Success response
   } catch (error) {
+    if (error.code === "INSUFFICIENT_STOCK") {
+      return res.status(409).json({
+        code: error.code,
+        message: error.message,
+        shortages: error.shortages,
+      }); // Error listing every SKU that was not found or is short, including stock held back because its lot expired
+    }
+    if (error.status) {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the location is unknown
+    }
     console.error("Error updating products:", error); // Log error
     return res.status(500).json({ message: "An error occurred while updating products." }); // Error response
   }
 });
 
-// API endpoint to update supplier information
-app.put("/api/update-supplier", async (req, res) => {
+// API endpoint to book a manual stock adjustment for a product
+app.post("/api/products/:sku/stock-adjustments", authorize("inventory:adjust"), async (req, res) => {
+  const { sku } = req.params;
+  const { quantity, reason, locationId } = req.body;
+
+  if (!Number.isInteger(Number(quantity)) || Number(quantity) === 0) {
+    return res.status(400).json({ message: "Quantity must be a non-zero whole number." }); // Error if quantity is invalid
+  }
+  if (!reason) {
+    return res.status(400).json({ message: "A reason is required for stock adjustments." }); // Error if reason is missing
+  }
+
   try {
-    const { code, name, email, phone, address, city, country } = req.body;
-    const updateQuery = `update suppliers set name = ?, email = ?, phone = ?, address = ?, city = ?, country = ? where code = ?`;
-    const pool = await SSHDBConnection; 
-    const result = await pool.query(updateQuery, [
-      name,
-      email,
-      phone,
-      address,
-      city,
-      country,
-      code,
-    ]);
-    res.status(200).json({ message: "Supplier updated successfully." }); // Success response
+    const pool = await SSHDBConnection;
+    const { balance } = await withTransaction(pool, async (db) => {
+      const location = await resolveLocation(db, locationId);
+      if (Number(quantity) < 0) {
+        // A write-off may not take stock that reservations hold
+        await assertAvailable(db, [{ sku, quantity: -Number(quantity) }], location.id, {
+          allowNegative: allowNegativeStock,
+        });
+      }
+      return recordStockMovement(db, {
+        sku,
+        type: "adjustment",
+        quantity: Number(quantity),
+        reason,
+        user: req.user,
+        locationId: location.id,
+      });
+    });
+
+    res.status(201).json({ message: "Stock adjusted successfully.", sku, balance }); // Success response with the new balance
   } catch (error) {
-    console.log(error); // Log error
+    console.error("Error adjusting stock:", error); // Log error
+    res.status(error.status || 500).json({
+      code: error.code,
+      message: error.status ? error.message : "Internal server error",
+      shortages: error.shortages,
+    }); // Error response
   }
 });
 
-// API endpoint to update customer information
-app.put("/api/update-customer", async (req, res) => {
+// API endpoint to get the stock movement history of a product
+app.get("/api/products/:sku/stock-history", authorize("products:read"), async (req, res) => {
+  const list = parseListQuery(req.query, {
+    sortColumns: { date: "created_at" },
+    defaultSort: "id",
+    filters: {
+      type: "movement_type",
+      location: "location_id",
+      referenceCode: "reference_code",
+      from: (value) => ["created_at >= ?", [value]],
+      to: (value) => ["created_at < DATE_ADD(?, INTERVAL 1 DAY)", [value]],
+    },
+  });
+  list.where = list.where ? `${list.where} AND sku = ?` : "WHERE sku = ?";
+  list.params.push(req.params.sku);
+  if (!req.query.order) {
+    list.orderBy = "id DESC"; // Most recent movements first unless asked otherwise
+  }
+
   try {
-    const { code, name, email, contact, address, city, country, status } = req.body;
-    const updateQuery = `UPDATE customers SET name = ?, email = ?, contact = ?, address = ?, city = ?, country = ? WHERE code = ?`;
-    const pool = await SSHDBConnection; 
-    await pool.query(updateQuery, [
-      name,
-      email,
-      contact,  // corrected from 'phone' to 'contact'
-      address,
-      city,
-      country,
-      code,
-    ]);
-    res.status(200).json({ message: "Customer updated successfully." }); // Success response
+    const pool = await SSHDBConnection;
+    const page = await fetchPage(pool, "SELECT *", "FROM inventory_movements", list);
+    res.status(200).json({ sku: req.params.sku, ...page }); // Success response with movements
   } catch (error) {
-    console.log(error); // Log error
-    res.status(500).json({ message: "An error occurred while updating the customer." }); // Error response
+    console.error("Error retrieving stock history:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
 });
 
-// API endpoint to delete a supplier
-app.post("/api/delete-supplier", async (req, res) => {
+// API endpoint to get the stock of a product in each location, with what is in transit to each
+app.get("/api/products/:sku/stock-by-location", authorize("products:read"), async (req, res) => {
   try {
-    const { supplier } = req.body;
-    console.log("cd");
-    console.log(supplier);
-    console.log(req.body);
-    const pool = await SSHDBConnection; 
-    await pool.query("DELETE FROM suppliers WHERE code = ?", [supplier.code]);
-    res.status(200).json({ message: "Supplier deleted successfully." }); // Success response
+    const pool = await SSHDBConnection;
+    const [locations] = await pool.query(
+      `SELECT l.id, l.code, l.name, l.is_default,
+         COALESCE(b.quantity, 0) AS quantity,
+         COALESCE((
+           SELECT SUM(tl.quantity) FROM stock_transfer_lines tl
+           JOIN stock_transfers t ON t.code = tl.transfer_code
+           WHERE t.status = 'in_transit' AND t.to_location_id = l.id AND tl.sku = ?
+         ), 0) AS in_transit,
+         COALESCE((
+           SELECT SUM(rl.quantity) FROM stock_reservation_lines rl
+           JOIN stock_reservations r ON r.code = rl.reservation_code
+           WHERE ${holdingCondition} AND r.location_id = l.id AND rl.sku = ?
+         ), 0) AS reserved
+       FROM locations l
+       LEFT JOIN stock_balances b ON b.location_id = l.id AND b.sku = ?
+       WHERE l.archived_at IS NULL OR b.quantity <> 0
+       ORDER BY l.is_default DESC, l.name`,
+      [req.params.sku, req.params.sku, req.params.sku]
+    );
+
+    res.status(200).json({ sku: req.params.sku, locations }); // Success response with balances
   } catch (error) {
-    console.log(error); // Log error
+    console.error("Error retrieving stock by location:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
 });
 
-// API endpoint to delete a customer
-app.post("/api/delete-customer", async (req, res) => {
-    try {
-      const { customers } = req.body;  // Get the product ID from the request body
-      console.log("Deleting Customer with ID:", customers.id);
-  
-      // Perform the deletion
-      const pool = await SSHDBConnection; 
-      await pool.query("Delete FROM customers where id  = ?", [customers.id]);
-      await pool.query("commit");
-  
-      res.status(200).json({ message: customers.name + " Product deleted successfully"}); // Success response
-    } catch (error) {
-      console.error("Error deleting product:", error); // Log error
-      res.status(500).json({ message: "Internal server error" }); // Error response
-    }
+// API endpoint to get the lots of a product that still hold stock, earliest expiry first
+app.get("/api/products/:sku/lots", authorize("products:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const [lots] = await pool.query(
+      `SELECT l.*, loc.name AS location_name, l.expiry_date < CURDATE() AS expired
+       FROM stock_lots l
+       JOIN locations loc ON loc.id = l.location_id
+       WHERE l.sku = ? AND l.quantity > 0 ${req.query.locationId ? "AND l.location_id = ?" : ""}
+       ORDER BY l.expiry_date IS NULL, l.expiry_date, l.id`,
+      req.query.locationId ? [req.params.sku, req.query.locationId] : [req.params.sku]
+    );
+
+    res.status(200).json({ sku: req.params.sku, lots }); // Success response with lots
+  } catch (error) {
+    console.error("Error retrieving lots:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
 });
 
-// API endpoint to delete a purchase order
-app.post("/api/delete-purchase-order", async (req, res) => {
+// API endpoint to get all stock locations
+app.get("/api/locations", authorize("locations:read"), async (req, res) => {
   try {
-    const { poCode } = req.body;  // Get purchase order code from URL parameters
-    console.log(poCode)
-
-    if (!poCode) {
-      return res.status(400).json({ message: "Missing purchase order code (poCode)" }); // Error if poCode is missing
-    }
+    const pool = await SSHDBConnection;
+    const list = parseListQuery(req.query, {
+      searchColumns: ["code", "name"],
+      sortColumns: { code: "code", name: "name" },
+      defaultSort: "name",
+      archivable: true,
+    });
+    const page = await fetchPage(pool, "SELECT *", "FROM locations", list);
+    res.status(200).json(page); // Success response with locations
+  } catch (error) {
+    console.error("Error retrieving locations:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
 
-    // Logging details for debugging
-    console.log("Received purchase order code to delete: ", poCode);
+// API endpoint to add a stock location such as a storeroom or branch
+app.post("/api/locations", authorize("locations:manage"), async (req, res) => {
+  const { code, name, isDefault } = req.body;
 
-    // Delete from related tables
-    console.log("DELETE FROM purchaseorderdetails WHERE poCode = ", poCode);
-    const pool = await SSHDBConnection; 
-    await pool.query("DELETE FROM purchaseorderdetails WHERE poCode = ?", [poCode]);
-    await pool.query("DELETE FROM purchaseorder WHERE purchaseOrderCode = ?", [poCode]);
+  if (!code || !name) {
+    return res.status(400).json({ message: "Location code and name are required." }); // Error if fields are missing
+  }
 
-    res.status(200).json({ message: "Purchase order and details deleted successfully." }); // Success response
+  try {
+    const pool = await SSHDBConnection;
+    const id = await withTransaction(pool, async (db) => {
+      if (isDefault) {
+        await db.query("UPDATE locations SET is_default = 0 WHERE is_default = 1");
+      }
+      const [result] = await db.query(
+        "INSERT INTO locations (code, name, is_default) VALUES (?, ?, ?)",
+        [code, name, isDefault ? 1 : 0]
+      );
+      return result.insertId;
+    });
 
+    const after = await snapshot(pool, "locations", "id", id);
+    await recordAudit(pool, req, { action: "create", entity: "location", entityKey: id, after });
+    res.status(201).json({ message: "Location added successfully.", data: after }); // Success response
   } catch (error) {
-    console.error("Error deleting purchase order:", error); // Log error
-    res.status(500).json({ message: "Error deleting purchase order" }); // Error response
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ message: `Location code ${code} is already in use.` }); // Error if code is taken
+    }
+    console.error("Error adding location:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
 });
 
-// API endpoint to add a supplier
-app.post("/api/add-supplier", async (req, res) => {
-  const { name, email, phone, address, city, country } = req.body;
-  const missingFields = [];
+// API endpoint to rename a location or make it the default
+app.put("/api/locations/:id", authorize("locations:manage"), async (req, res) => {
+  const { id } = req.params;
+  const { name, isDefault } = req.body;
 
-  // Check each field and push missing fields to the array
-  // if (!code) missingFields.push("code");
-  if (!name) missingFields.push("name");
-  // if (!email) missingFields.push("email");
-  // if (!phone) missingFields.push("phone");
-  // if (!address) missingFields.push("address");
-  // if (!city) missingFields.push("city");
-  // if (!country) missingFields.push("country");
+  try {
+    const pool = await SSHDBConnection;
+    const before = await snapshot(pool, "locations", "id", id);
+    if (!before || before.archived_at) {
+      return res.status(404).json({ message: "Location not found." }); // Error if location not found
+    }
+    if (before.is_default && isDefault === false) {
+      return res.status(409).json({ message: "Make another location the default instead." }); // Error if unsetting the default
+    }
 
-  // If there are missing fields, return a detailed error message
-  if (missingFields.length > 0) {
-    return res.status(400).json({
-      message: `Missing required fields: ${missingFields.join(", ")}`, // Error if fields are missing
+    await withTransaction(pool, async (db) => {
+      if (isDefault && !before.is_default) {
+        await db.query("UPDATE locations SET is_default = 0 WHERE is_default = 1");
+        await db.query("UPDATE locations SET is_default = 1 WHERE id = ?", [id]);
+      }
+      if (name) {
+        await db.query("UPDATE locations SET name = ? WHERE id = ?", [name, id]);
+      }
     });
-  }
 
-  // Generate Entry Code
-  let EntryCode;
-  try {
-    EntryCode = await generateEntryCode(2);  // Assuming this function exists
+    const after = await snapshot(pool, "locations", "id", id);
+    await recordAudit(pool, req, { action: "update", entity: "location", entityKey: id, before, after });
+    res.status(200).json({ message: "Location updated successfully.", data: after }); // Success response
   } catch (error) {
-    return res.status(500).json({ message: "Error generating entry code" }); // Error if entry code generation fails
+    console.error("Error updating location:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
+});
+
+// API endpoint to archive a location that holds no stock
+app.delete("/api/locations/:id", authorize("locations:manage"), async (req, res) => {
+  const { id } = req.params;
 
   try {
-    const pool = await SSHDBConnection; 
-    const [result] = await pool.query(
-      "INSERT INTO suppliers (code, name, email, phone, address, city, country) VALUES (?, ?, ?, ?, ?, ?, ?)",
-      [EntryCode, name, email, phone, address, city, country]
+    const pool = await SSHDBConnection;
+    const before = await snapshot(pool, "locations", "id", id);
+    if (!before || before.archived_at) {
+      return res.status(404).json({ message: "Location not found or already archived." }); // Error if location not found
+    }
+    if (before.is_default) {
+      return res.status(409).json({ message: "The default location cannot be archived." }); // Error if default location
+    }
+
+    const [[{ stocked }]] = await pool.query(
+      "SELECT COUNT(*) AS stocked FROM stock_balances WHERE location_id = ? AND quantity <> 0",
+      [id]
+    );
+    const [[{ inTransit }]] = await pool.query(
+      "SELECT COUNT(*) AS inTransit FROM stock_transfers WHERE status = 'in_transit' AND (from_location_id = ? OR to_location_id = ?)",
+      [id, id]
     );
+    if (stocked > 0 || inTransit > 0) {
+      return res.status(409).json({
+        message: "Move all stock out of the location and finish its transfers before archiving it.",
+      }); // Error if the location still holds stock
+    }
 
-    // Return success response
-    return res.status(200).json({
-      message: "Supplier added successfully",
-      supplierId: result.insertId, // Return the ID of the newly created supplier
-    }); // Success response
+    await archiveRecord(pool, "location", id, req.user.id);
+    await recordAudit(pool, req, {
+      action: "archive",
+      entity: "location",
+      entityKey: id,
+      before,
+      after: await snapshot(pool, "locations", "id", id),
+    });
+    res.status(200).json({ message: "Location archived successfully." }); // Success response
   } catch (error) {
-    console.error("Error adding supplier:", error); // Log error
-    return res.status(500).json({
-      message: "Error adding supplier",
-      error: error.message,  // You can omit the detailed error message in production for security reasons
-    }); // Error response
+    console.error("Error archiving location:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
 });
 
-// API endpoint to get all suppliers
-app.get("/api/get-suppliers", async (req, res) => {
+// API endpoint to dispatch stock from one location to another; it stays in transit until received
+app.post("/api/stock-transfers", authorize("transfers:write"), async (req, res) => {
+  const { fromLocationId, toLocationId, lines, notes } = req.body;
+
+  if (!fromLocationId || !toLocationId) {
+    return res.status(400).json({ message: "Source and destination locations are required." }); // Error if locations are missing
+  }
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return res.status(400).json({ message: "A transfer needs at least one line." }); // Error if lines are missing
+  }
+  const invalidLines = lines
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => !line.sku || !Number.isInteger(Number(line.quantity)) || Number(line.quantity) <= 0)
+    .map(({ index }) => `Line at index ${index}`);
+  if (invalidLines.length > 0) {
+    return res.status(400).json({
+      message: `Lines need a SKU and a positive whole quantity: ${invalidLines.join(", ")}`,
+    }); // Error if a line is invalid
+  }
+
   try {
-    const pool = await SSHDBConnection; 
-    const [rows] = await pool.query("SELECT * FROM suppliers");
-    res.status(200).json(rows); // Success response with suppliers
+    const pool = await SSHDBConnection;
+    const transfer = await withTransaction(pool, async (db) => {
+      const code = await generateEntryCode(8, db); // Code type 8 is stock transfers
+      const dispatched = await dispatchTransfer(db, {
+        code,
+        fromLocationId,
+        toLocationId,
+        lines,
+        notes,
+        user: req.user,
+      });
+
+      await recordAudit(db, req, {
+        action: "dispatch",
+        entity: "stock-transfer",
+        entityKey: code,
+        after: { fromLocationId, toLocationId, lines, notes },
+      });
+
+      return dispatched;
+    });
+
+    res.status(201).json({ message: "Transfer dispatched.", ...transfer }); // Success response
   } catch (error) {
-    console.error("Error retrieving suppliers:", error); // Log error
+    if (error.status) {
+      return res.status(error.status).json({
+        code: error.code,
+        message: error.message,
+        shortages: error.shortages,
+      }); // Error if a location is unknown or stock is short
+    }
+    console.error("Error dispatching transfer:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
 });
 
-// API endpoint to add a customer
-app.post("/api/add-customer", async (req, res) => {
-  const { code, name, email, contact, address, city, country } = req.body;
-  const missingFields = [];
-  const EntryCode = await generateEntryCode(5);
-
-  // Check each field and push missing fields to the array
-  // if (!code) missingFields.push("code");
-  if (!name) missingFields.push("name");
-  // if (!contact) missingFields.push("contact");
-  // if (!address) missingFields.push("address");
-  // if (!city) missingFields.push("city");
-  // if (!country) missingFields.push("country");
-
-  // If there are missing fields, return a detailed error message
-  if (missingFields.length > 0) {
-    return res.status(400).json({
-      message: `Missing required fields: ${missingFields.join(", ")}`, // Error if fields are missing
+// API endpoint to list stock transfers
+app.get("/api/stock-transfers", authorize("transfers:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const list = parseListQuery(req.query, {
+      searchColumns: ["code", "notes"],
+      sortColumns: { code: "code", date: "created_at", status: "status" },
+      defaultSort: "created_at",
+      filters: {
+        status: "status",
+        fromLocation: "from_location_id",
+        toLocation: "to_location_id",
+        from: (value) => ["created_at >= ?", [value]],
+        to: (value) => ["created_at < DATE_ADD(?, INTERVAL 1 DAY)", [value]],
+      },
     });
+    const page = await fetchPage(pool, "SELECT *", "FROM stock_transfers", list);
+    res.status(200).json(page); // Success response with transfers
+  } catch (error) {
+    console.error("Error retrieving transfers:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
+});
+
+// API endpoint to get a stock transfer with its lines
+app.get("/api/stock-transfers/:code", authorize("transfers:read"), async (req, res) => {
   try {
-    const pool = await SSHDBConnection; 
+    const pool = await SSHDBConnection;
+    const transfer = await snapshot(pool, "stock_transfers", "code", req.params.code);
+    if (!transfer) {
+      return res.status(404).json({ message: "Transfer not found." }); // Error if transfer not found
+    }
+
+    const [lines] = await pool.query(
+      "SELECT * FROM stock_transfer_lines WHERE transfer_code = ? ORDER BY id",
+      [req.params.code]
+    );
+    res.status(200).json({ ...transfer, lines }); // Success response with the transfer
+  } catch (error) {
+    console.error("Error retrieving transfer:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// Register an endpoint that finishes an in-transit transfer by receiving or cancelling it
+const registerTransferAction = (action, finish, message) => {
+  app.post(`/api/stock-transfers/:code/${action}`, authorize("transfers:write"), async (req, res) => {
+    try {
+      const pool = await SSHDBConnection;
+      const transfer = await withTransaction(pool, async (db) => {
+        const finished = await finish(db, req.params.code, req.user);
+        await recordAudit(db, req, {
+          action,
+          entity: "stock-transfer",
+          entityKey: req.params.code,
+          before: { status: "in_transit" },
+          after: { status: finished.status },
+        });
+        return finished;
+      });
+
+      res.status(200).json({ message, data: transfer }); // Success response
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the transfer is not in transit
+      }
+      console.error(`Error trying to ${action} transfer:`, error); // Log error
+      res.status(500).json({ message: "Internal server error" }); // Error response
+    }
+  });
+};
+
+registerTransferAction("receive", receiveTransfer, "Transfer received.");
+registerTransferAction("cancel", cancelTransfer, "Transfer cancelled and stock returned.");
+
+// API endpoint to start a stocktake, freezing the expected quantities of a location (optionally one category)
+app.post("/api/stocktakes", authorize("stocktakes:write"), async (req, res) => {
+  const { locationId, category, notes } = req.body;
+
+  try {
+    const pool = await SSHDBConnection;
+    const stocktake = await withTransaction(pool, async (db) => {
+      const location = await resolveLocation(db, locationId);
+      const code = await generateEntryCode(9, db); // Code type 9 is stocktakes
+      const started = await startStocktake(db, {
+        code,
+        locationId: location.id,
+        category,
+        notes,
+        user: req.user,
+      });
+
+      await recordAudit(db, req, { action: "create", entity: "stocktake", entityKey: code, after: started });
+      return started;
+    });
+
+    res.status(201).json({ message: "Stocktake started.", ...stocktake }); // Success response
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the location is unknown
+    }
+    console.error("Error starting stocktake:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to list stocktakes
+app.get("/api/stocktakes", authorize("stocktakes:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const list = parseListQuery(req.query, {
+      searchColumns: ["code", "category", "notes"],
+      sortColumns: { code: "code", date: "created_at", status: "status" },
+      defaultSort: "created_at",
+      filters: {
+        status: "status",
+        location: "location_id",
+        category: "category",
+      },
+    });
+    const page = await fetchPage(pool, "SELECT *", "FROM stocktakes", list);
+    res.status(200).json(page); // Success response with stocktakes
+  } catch (error) {
+    console.error("Error retrieving stocktakes:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to add counted quantities from a counting device; counts add up across devices
+app.post("/api/stocktakes/:code/counts", authorize("stocktakes:count"), async (req, res) => {
+  const { counts, device } = req.body;
+
+  if (!Array.isArray(counts) || counts.length === 0) {
+    return res.status(400).json({ message: "At least one count is required." }); // Error if counts are missing
+  }
+  const invalidCounts = counts
+    .map((count, index) => ({ count, index }))
+    .filter(({ count }) => !count.sku || !Number.isInteger(Number(count.quantity)) || Number(count.quantity) === 0)
+    .map(({ index }) => `Count at index ${index}`);
+  if (invalidCounts.length > 0) {
+    return res.status(400).json({
+      message: `Counts need a SKU and a non-zero whole quantity: ${invalidCounts.join(", ")}`,
+    }); // Error if a count is invalid
+  }
+
+  try {
+    const pool = await SSHDBConnection;
+    await withTransaction(pool, (db) => recordCounts(db, req.params.code, counts, { device, user: req.user }));
+    res.status(201).json({ message: "Counts recorded.", recorded: counts.length }); // Success response
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        code: error.code,
+        message: error.message,
+        problems: error.problems,
+      }); // Error if the stocktake is closed or a count was rejected
+    }
+    console.error("Error recording counts:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to get the variance report of a stocktake with its cost impact
+app.get("/api/stocktakes/:code/variances", authorize("stocktakes:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const report = await varianceReport(pool, req.params.code, {
+      uncountedAsZero: req.query.uncountedAsZero === "true",
+    });
+    if (req.query.onlyVariances === "true") {
+      report.lines = report.lines.filter((line) => line.variance !== null && line.variance !== 0);
+    }
+    res.status(200).json(report); // Success response with the report
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message }); // Error if the stocktake is unknown
+    }
+    console.error("Error building variance report:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to approve a stocktake, posting its variances (or only the listed SKUs) as stock movements
+app.post("/api/stocktakes/:code/post", authorize("stocktakes:approve"), async (req, res) => {
+  const { skus, uncountedAsZero } = req.body;
+
+  if (skus !== undefined && !Array.isArray(skus)) {
+    return res.status(400).json({ message: "skus must be a list of SKUs." }); // Error if skus is invalid
+  }
+
+  try {
+    const pool = await SSHDBConnection;
+    const result = await withTransaction(pool, async (db) => {
+      const posted = await postStocktake(db, req.params.code, {
+        skus,
+        uncountedAsZero: Boolean(uncountedAsZero),
+        user: req.user,
+      });
+      await recordAudit(db, req, {
+        action: "post",
+        entity: "stocktake",
+        entityKey: req.params.code,
+        before: { status: "open" },
+        after: { status: "posted", ...posted },
+      });
+      return posted;
+    });
+
+    res.status(200).json({ message: "Stocktake posted.", ...result }); // Success response with posted variances
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the stocktake is not open
+    }
+    console.error("Error posting stocktake:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to cancel an open stocktake without changing stock
+app.post("/api/stocktakes/:code/cancel", authorize("stocktakes:write"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    await withTransaction(pool, async (db) => {
+      await cancelStocktake(db, req.params.code);
+      await recordAudit(db, req, {
+        action: "cancel",
+        entity: "stocktake",
+        entityKey: req.params.code,
+        before: { status: "open" },
+        after: { status: "cancelled" },
+      });
+    });
+
+    res.status(200).json({ message: "Stocktake cancelled." }); // Success response
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the stocktake is not open
+    }
+    console.error("Error cancelling stocktake:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to update supplier information
+app.put("/api/update-supplier", authorize("suppliers:write"), async (req, res) => {
+  try {
+    const { code, name, email, phone, address, city, country } = req.body;
+    const updateQuery = `update suppliers set name = ?, email = ?, phone = ?, address = ?, city = ?, country = ? where code = ?`;
+    const pool = await SSHDBConnection; 
+    const before = await snapshot(pool, "suppliers", "code", code);
+    const result = await pool.query(updateQuery, [
+      name,
+      email,
+      phone,
+      address,
+      city,
+      country,
+      code,
+    ]);
+    await recordAudit(pool, req, {
+      action: "update",
+      entity: "supplier",
+      entityKey: code,
+      before,
+      after: await snapshot(pool, "suppliers", "code", code),
+    });
+    res.status(200).json({ message: "Supplier updated successfully." }); // Success response
+  } catch (error) {
+    console.log(error); // Log error
+  }
+});
+
+// API endpoint to update customer information
+app.put("/api/update-customer", authorize("customers:write"), async (req, res) => {
+  try {
+    const { code, name, email, contact, address, city, country, status } = req.body;
+    const updateQuery = `UPDATE customers SET name = ?, email = ?, contact = ?, address = ?, city = ?, country = ? WHERE code = ?`;
+    const pool = await SSHDBConnection; 
+    const before = await snapshot(pool, "customers", "code", code);
+    await pool.query(updateQuery, [
+      name,
+      email,
+      contact,  // corrected from 'phone' to 'contact'
+      address,
+      city,
+      country,
+      code,
+    ]);
+    await recordAudit(pool, req, {
+      action: "update",
+      entity: "customer",
+      entityKey: code,
+      before,
+      after: await snapshot(pool, "customers", "code", code),
+    });
+    res.status(200).json({ message: "Customer updated successfully." }); // Success response
+  } catch (error) {
+    console.log(error); // Log error
+    res.status(500).json({ message: "An error occurred while updating the customer." }); // Error response
+  }
+});
+
+// API endpoint to delete a supplier
+app.post("/api/delete-supplier", authorize("suppliers:delete"), async (req, res) => {
+  try {
+    const { supplier } = req.body;
+    console.log("cd");
+    console.log(supplier);
+    console.log(req.body);
+    const pool = await SSHDBConnection; 
+    const before = await snapshot(pool, "suppliers", "code", supplier.code);
+    if (!(await archiveRecord(pool, "supplier", supplier.code, req.user.id))) {
+      return res.status(404).json({ message: "Supplier not found or already archived." }); // Error if supplier not found
+    }
+    await recordAudit(pool, req, {
+      action: "archive",
+      entity: "supplier",
+      entityKey: supplier.code,
+      before,
+      after: await snapshot(pool, "suppliers", "code", supplier.code),
+    });
+    res.status(200).json({ message: "Supplier archived successfully." }); // Success response
+  } catch (error) {
+    console.log(error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to delete a customer
+app.post("/api/delete-customer", authorize("customers:delete"), async (req, res) => {
+    try {
+      const { customers } = req.body;  // Get the product ID from the request body
+      console.log("Deleting Customer with ID:", customers.id);
+  
+      // Archive the customer; their invoices still reference the customer code
+      const pool = await SSHDBConnection; 
+      const before = await snapshot(pool, "customers", "id", customers.id);
+      if (!before || !(await archiveRecord(pool, "customer", before.code, req.user.id))) {
+        return res.status(404).json({ message: "Customer not found or already archived" }); // Error if customer not found
+      }
+      await recordAudit(pool, req, {
+        action: "archive",
+        entity: "customer",
+        entityKey: before.code,
+        before,
+        after: await snapshot(pool, "customers", "code", before.code),
+      });
+  
+      res.status(200).json({ message: customers.name + " archived successfully"}); // Success response
+    } catch (error) {
+      console.error("Error deleting product:", error); // Log error
+      res.status(500).json({ message: "Internal server error" }); // Error response
+    }
+});
+
+// API endpoint to delete a purchase order
+app.post("/api/delete-purchase-order", authorize("purchase-orders:delete"), async (req, res) => {
+  try {
+    const { poCode } = req.body;  // Get purchase order code from URL parameters
+    console.log(poCode)
+
+    if (!poCode) {
+      return res.status(400).json({ message: "Missing purchase order code (poCode)" }); // Error if poCode is missing
+    }
+
+    // Logging details for debugging
+    console.log("Received purchase order code to delete: ", poCode);
+
+    // Delete from related tables
+    console.log("DELETE FROM purchaseorderdetails WHERE poCode = ", poCode);
+    const pool = await SSHDBConnection; 
+
+    await withTransaction(pool, async (db) => {
+      // Receiving locks the order too, so no receipt can be posted between the check and the deletes
+      const [[header]] = await db.query(
+        "SELECT * FROM purchaseorder WHERE purchaseOrderCode = ? FOR UPDATE",
+        [poCode]
+      );
+      if (!header) {
+        throw purchasingError(404, `Purchase order ${poCode} not found.`);
+      }
+
+      // Goods received notes keep the stock history of the order, so it must stay
+      const [[{ receiptCount }]] = await db.query(
+        "SELECT COUNT(*) AS receiptCount FROM goods_receipts WHERE po_code = ?",
+        [poCode]
+      );
+      if (receiptCount > 0) {
+        throw purchasingError(409, "Purchase orders with received goods cannot be deleted. Cancel the order instead.", {
+          code: "HAS_RECEIPTS",
+        });
+      }
+
+      const [lines] = await db.query("SELECT * FROM purchaseorderdetails WHERE poCode = ?", [poCode]);
+      await db.query("DELETE FROM purchaseorderdetails WHERE poCode = ?", [poCode]);
+      await db.query("DELETE FROM purchaseorder WHERE purchaseOrderCode = ?", [poCode]);
+      await recordAudit(db, req, {
+        action: "delete",
+        entity: "purchase-order",
+        entityKey: poCode,
+        before: { ...header, lines },
+      });
+    });
+
+    res.status(200).json({ message: "Purchase order and details deleted successfully." }); // Success response
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the order is missing or has received goods
+    }
+    console.error("Error deleting purchase order:", error); // Log error
+    res.status(500).json({ message: "Error deleting purchase order" }); // Error response
+  }
+});
+
+// API endpoint to add a supplier
+app.post("/api/add-supplier", authorize("suppliers:write"), async (req, res) => {
+  const { name, email, phone, address, city, country } = req.body;
+  const missingFields = [];
+
+  // Check each field and push missing fields to the array
+  // if (!code) missingFields.push("code");
+  if (!name) missingFields.push("name");
+  // if (!email) missingFields.push("email");
+  // if (!phone) missingFields.push("phone");
+  // if (!address) missingFields.push("address");
+  // if (!city) missingFields.push("city");
+  // if (!country) missingFields.push("country");
+
+  // If there are missing fields, return a detailed error message
+  if (missingFields.length > 0) {
+    return res.status(400).json({
+      message: `Missing required fields: ${missingFields.join(", ")}`, // Error if fields are missing
+    });
+  }
+
+  // Generate Entry Code
+  let EntryCode;
+  try {
+    EntryCode = await generateEntryCode(2);  // Assuming this function exists
+  } catch (error) {
+    return res.status(500).json({ message: "Error generating entry code" }); // Error if entry code generation fails
+  }
+
+  try {
+    const pool = await SSHDBConnection; 
+    const [result] = await pool.query(
+      "INSERT INTO suppliers (code, name, email, phone, address, city, country) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [EntryCode, name, email, phone, address, city, country]
+    );
+    await recordAudit(pool, req, {
+      action: "create",
+      entity: "supplier",
+      entityKey: EntryCode,
+      after: await snapshot(pool, "suppliers", "code", EntryCode),
+    });
+
+    // Return success response
+    return res.status(200).json({
+      message: "Supplier added successfully",
+      supplierId: result.insertId, // Return the ID of the newly created supplier
+    }); // Success response
+  } catch (error) {
+    console.error("Error adding supplier:", error); // Log error
+    return res.status(500).json({
+      message: "Error adding supplier",
+      error: error.message,  // You can omit the detailed error message in production for security reasons
+    }); // Error response
+  }
+});
+
+// API endpoint to get all suppliers
+app.get("/api/get-suppliers", authorize("suppliers:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection; 
+    const list = parseListQuery(req.query, {
+      searchColumns: ["code", "name", "email", "phone"],
+      sortColumns: { code: "code", name: "name", city: "city", country: "country" },
+      defaultSort: "name",
+      filters: { city: "city", country: "country" },
+      archivable: true,
+    });
+    const page = await fetchPage(pool, "SELECT *", "FROM suppliers", list);
+    res.status(200).json(page); // Success response with suppliers
+  } catch (error) {
+    console.error("Error retrieving suppliers:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to add a customer
+app.post("/api/add-customer", authorize("customers:write"), async (req, res) => {
+  const { code, name, email, contact, address, city, country } = req.body;
+  const missingFields = [];
+  const EntryCode = await generateEntryCode(5);
+
+  // Check each field and push missing fields to the array
+  // if (!code) missingFields.push("code");
+  if (!name) missingFields.push("name");
+  // if (!contact) missingFields.push("contact");
+  // if (!address) missingFields.push("address");
+  // if (!city) missingFields.push("city");
+  // if (!country) missingFields.push("country");
+
+  // If there are missing fields, return a detailed error message
+  if (missingFields.length > 0) {
+    return res.status(400).json({
+      message: `Missing required fields: ${missingFields.join(", ")}`, // Error if fields are missing
+    });
+  }
+  try {
+    const pool = await SSHDBConnection; 
     const [result] = await pool.query(
       "INSERT INTO customers (code, name, email, contact, address, city, country) VALUES (?, ?, ?, ?, ?, ?, ?)",
       [EntryCode, name, email, contact, address, city, country]
     );
+    await recordAudit(pool, req, {
+      action: "create",
+      entity: "customer",
+      entityKey: EntryCode,
+      after: await snapshot(pool, "customers", "code", EntryCode),
+    });
 
     res.status(200).json({
       message: "Customer added successfully",
@@ -812,26 +2368,97 @@ app.post("/api/add-customer", async (req, res) => {
 });
 
 // API endpoint to get all customers
-app.get("/api/get-customers", async (req, res) => {
+app.get("/api/get-customers", authorize("customers:read"), async (req, res) => {
   try {
     const pool = await SSHDBConnection; 
-    const [rows] = await pool.query("SELECT * FROM customers");
-    res.status(200).json(rows); // Success response with customers
+    const list = parseListQuery(req.query, {
+      searchColumns: ["code", "name", "email", "contact"],
+      sortColumns: { code: "code", name: "name", city: "city", country: "country" },
+      defaultSort: "name",
+      filters: { city: "city", country: "country", status: "status" },
+      archivable: true,
+    });
+    const page = await fetchPage(pool, "SELECT *", "FROM customers", list);
+    res.status(200).json(page); // Success response with customers
   } catch (error) {
     console.error("Error retrieving customers:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
 });
 
+// Register restore and purge endpoints for an archivable entity
+const registerArchiveRoutes = (entity, basePath, restorePermission) => {
+  const { table, key } = archivableEntities[entity];
+
+  // API endpoint to restore an archived record
+  app.post(`${basePath}/:key/restore`, authorize(restorePermission), async (req, res) => {
+    try {
+      const pool = await SSHDBConnection;
+      if (!(await restoreRecord(pool, entity, req.params.key))) {
+        return res.status(404).json({ message: `No archived ${entity} found.` }); // Error if nothing to restore
+      }
+
+      const after = await snapshot(pool, table, key, req.params.key);
+      await recordAudit(pool, req, { action: "restore", entity, entityKey: req.params.key, after });
+      res.status(200).json({ message: `The ${entity} was restored successfully.`, data: after }); // Success response
+    } catch (error) {
+      console.error(`Error restoring ${entity}:`, error); // Log error
+      res.status(500).json({ message: "Internal server error" }); // Error response
+    }
+  });
+
+  // API endpoint to permanently delete an archived record that no document references
+  app.delete(`${basePath}/:key/purge`, authorize("records:purge"), async (req, res) => {
+    try {
+      const pool = await SSHDBConnection;
+      const before = await snapshot(pool, table, key, req.params.key);
+
+      if (!before || !before.archived_at) {
+        return res.status(404).json({ message: `No archived ${entity} found. Archive it before purging.` }); // Error if not archived
+      }
+
+      const references = await countReferences(pool, entity, before);
+      if (references.length > 0) {
+        return res.status(409).json({
+          message: `The ${entity} is still referenced and cannot be purged.`,
+          references,
+        }); // Error if documents still reference the record
+      }
+
+      await purgeRecord(pool, entity, req.params.key);
+      await recordAudit(pool, req, { action: "purge", entity, entityKey: req.params.key, before });
+      res.status(200).json({ message: `The ${entity} was permanently deleted.` }); // Success response
+    } catch (error) {
+      console.error(`Error purging ${entity}:`, error); // Log error
+      res.status(500).json({ message: "Internal server error" }); // Error response
+    }
+  });
+};
+
+registerArchiveRoutes("product", "/api/products", "products:delete");
+registerArchiveRoutes("customer", "/api/customers", "customers:delete");
+registerArchiveRoutes("supplier", "/api/suppliers", "suppliers:delete");
+registerArchiveRoutes("category", "/api/product-categories", "categories:write");
+registerArchiveRoutes("location", "/api/locations", "locations:manage");
+
 // API endpoint to update code format
-app.post("/api/update-code-format", async (req, res) => {
+app.post("/api/update-code-format", authorize("code-formats:manage"), async (req, res) => {
   const { type, prefix, sample, length } = req.body;
   try {
     // await pool.query("UPDATE codeformats SET PreFix = ?,length=? WHERE Code = ?", [prefix, type]);
     const pool = await SSHDBConnection; 
+    const before = await snapshot(pool, "codeformats", "Code", type);
     await pool.query(
       "UPDATE codeformats SET PreFix = ?, length = ?, Sample = ? WHERE Code = ?",
       [prefix, length, sample, type]
     );
+    await recordAudit(pool, req, {
+      action: "update",
+      entity: "code-format",
+      entityKey: type,
+      before,
+      after: await snapshot(pool, "codeformats", "Code", type),
+    });
     res.status(200).json({ message: "Code format updated successfully." }); // Success response
   } catch (error) {
     console.error("Error updating code format:", error); // Log error
@@ -842,7 +2469,7 @@ app.post("/api/update-code-format", async (req, res) => {
 });
 
 // API endpoint to get all code formats
-app.get("/api/get-code-formats", async (req, res) => {
+app.get("/api/get-code-formats", authorize("code-formats:read"), async (req, res) => {
   try {
     const pool = await SSHDBConnection; 
     const [rows] = await pool.query("SELECT * FROM codeformats");
@@ -852,21 +2479,30 @@ app.get("/api/get-code-formats", async (req, res) => {
   }
 });
 
-// Function to generate a new entry code
-const generateEntryCode = async (codeType) => {
+// Function to generate a new entry code. Inside a transaction pass its connection, so the code is
+// taken on it (and given back if the transaction rolls back) rather than holding a second connection.
+const generateEntryCode = async (codeType, db = null) => {
   const pool = await SSHDBConnection; 
-  const [rows] = await pool.query("SELECT * FROM codeformats WHERE Code = ?", [
-    codeType,
-  ]);
 
-  const nextValue = rows[0].nextValue; // Get the next value for the code
+  // Increment and read the counter on one connection so concurrent requests never get the same code
+  const connection = db || (await pool.getConnection());
+  let rows;
+  try {
+    await connection.query("UPDATE codeformats SET nextValue = LAST_INSERT_ID(nextValue + 1) WHERE Code = ?", [
+      codeType,
+    ]);
+    [rows] = await connection.query("SELECT *, LAST_INSERT_ID() AS newValue FROM codeformats WHERE Code = ?", [
+      codeType,
+    ]);
+  } finally {
+    if (!db) {
+      connection.release();
+    }
+  }
+
   const preFix = rows[0].PreFix; // Get the prefix for the code
   const Length = rows[0].length; // Get the length for the code
-  const newValue = nextValue + 1; // Increment the next value
-  await pool.query("update codeformats SET nextValue=? where Code =? ", [
-    newValue,
-    codeType,
-  ]);
+  const newValue = rows[0].newValue; // The value just taken from the counter
 
    const codeSample = preFix + String(newValue).padStart(Length, "0"); // Generate the new entry code
 
@@ -874,9 +2510,16 @@ const generateEntryCode = async (codeType) => {
 };
 
 // API endpoint to create a purchase order
-app.post("/api/create-purchase-order", async (req, res) => {
+app.post("/api/create-purchase-order", authorize("purchase-orders:write"), async (req, res) => {
   const { supplier, orderDetails, totalCost } = req.body;
 
+  const duplicated = Array.isArray(orderDetails) ? duplicateSkus(orderDetails) : [];
+  if (duplicated.length > 0) {
+    return res.status(400).json({
+      message: `Each SKU may appear on one line only: ${duplicated.join(", ")}`,
+    }); // Error if a SKU is listed twice
+  }
+
   try {
     // Generate a unique code for the purchase order
     const EntryCode = await generateEntryCode(2);
@@ -920,98 +2563,683 @@ app.post("/api/create-purchase-order", async (req, res) => {
       );
     }
 
+    await recordAudit(pool, req, {
+      action: "create",
+      entity: "purchase-order",
+      entityKey: EntryCode,
+      after: {
+        ...(await snapshot(pool, "purchaseorder", "purchaseOrderCode", EntryCode)),
+        lines: orderDetails || [],
+      },
+    });
+
     res.status(200).json({
       message: "Purchase order added successfully",
       purchaseOrderId: result.insertId, // Return the ID of the newly created purchase order
     }); // Success response
   } catch (error) {
-    console.error("Error creating purchase order:", error); // Log error
-    res
-      .status(500)
-      .json({ error: "An error occurred while creating the purchase order " + error }); // Error response
+    console.error("Error creating purchase order:", error); // Log error
+    res
+      .status(500)
+      .json({ error: "An error occurred while creating the purchase order " + error }); // Error response
+  }
+});
+
+// API endpoint to get all purchase orders
+app.get("/api/get-purchase-orders", authorize("purchase-orders:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection; 
+    const list = parseListQuery(req.query, {
+      searchColumns: ["purchaseOrderCode", "SupplierName"],
+      sortColumns: {
+        code: "purchaseOrderCode",
+        supplier: "SupplierName",
+        totalCost: "TotalCost",
+        date: "docDate",
+        status: "status",
+      },
+      defaultSort: "docDate",
+      filters: {
+        supplier: "SupplierCode",
+        status: "status",
+        from: (value) => ["docDate >= ?", [value]],
+        to: (value) => ["docDate <= ?", [value]],
+        minTotal: (value) => ["TotalCost >= ?", [value]],
+        maxTotal: (value) => ["TotalCost <= ?", [value]],
+      },
+    });
+    const page = await fetchPage(pool, "SELECT *", "FROM purchaseorder", list);
+    res.status(200).json(page); // Success response with purchase orders
+  } catch (error) {
+    console.log(error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to save an invoice
+app.post("/api/save-invoice", authorize("invoices:write"), async (req, res) => {
+  const { customer, invoice, cartItems } = req.body;
+
+  // Validate the cart before anything is written
+  if (!customer || !invoice) {
+    return res.status(400).json({ message: "An invoice needs a customer and invoice details." }); // Error if header is missing
+  }
+  if (!Array.isArray(cartItems) || cartItems.length === 0) {
+    return res.status(400).json({ message: "An invoice needs at least one cart item." }); // Error if cart is empty
+  }
+  const invalidItems = cartItems
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => !item.sku || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0)
+    .map(({ index }) => `Cart item at index ${index}`);
+  if (invalidItems.length > 0) {
+    return res.status(400).json({
+      message: `Cart items need a SKU and a positive whole quantity: ${invalidItems.join(", ")}`,
+    }); // Error if a cart item is invalid
+  }
+  if (
+    invoice.payments !== undefined &&
+    (!Array.isArray(invoice.payments) ||
+      invoice.payments.length === 0 ||
+      !invoice.payments.every((tender) => tender && typeof tender === "object"))
+  ) {
+    return res.status(400).json({ message: "payments must list at least one tender." }); // Error if the tenders are malformed
+  }
+
+  try {
+    // Establish a connection from the pool
+    const connection = await SSHDBConnection; 
+
+    // The override carries a password, so keep it out of logs and the audit trail
+    const { discountOverride, ...invoiceDetails } = invoice;
+
+    // Debugging: log the variables to ensure they are correctly formatted
+    console.log('Customer:', customer);
+    console.log('Invoice:', invoiceDetails);
+    console.log('Cart Items:', cartItems);
+
+    // A manager approves discounts beyond a product's limits by entering their credentials at the till
+    const approver = discountOverride
+      ? await verifyApproval(connection, discountOverride, "invoices:discount-override")
+      : null;
+    const overrideApproved = Boolean(approver) || hasPermission(req.user.permissions, "invoices:discount-override");
+
+    // Invoice, cart items and stock deduction succeed or fail together
+    const saved = await withTransaction(connection, async (db) => {
+      const location = await resolveLocation(db, invoice.locationId); // The till's location, or the default
+
+      // Prices come from the products table; the client's totals must agree with them
+      const priced = await priceInvoice(db, cartItems, invoice, { overrideApproved });
+
+      // The tenders must pay the server's net total; a client that sends no tenders paid it all by
+      // paymentMethod, which is checked like any other tender
+      const tenders = Array.isArray(invoice.payments)
+        ? invoice.payments
+        : [{ method: invoice.paymentMethod, amount: priced.netTotal }];
+      const settlement = settleTenders(priced.netTotal, tenders);
+
+      // A reserved sale may use its own reservation's stock; every sale leaves other reservations alone
+      const reservation = invoice.reservationCode ? await lockActiveReservation(db, invoice.reservationCode) : null;
+      if (reservation && reservation.location_id !== location.id) {
+        throw Object.assign(new Error("The reservation is held at a different location."), { status: 409 });
+      }
+      await assertAvailable(db, cartItems, location.id, {
+        excludeCode: reservation ? reservation.code : null,
+        allowNegative: allowNegativeStock,
+      });
+
+      const code = await generateEntryCode(6, db);
+
+      // Insert into the invoices table
+      await db.execute(
+        `INSERT INTO sales_invoices (code, customer_id, location_id, post_date, due_date, payment_method, total_amount, discount_amount, net_total,
+           cashier_id, cashier_name, discount_approved_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          code,
+          customer.code,
+          location.id,
+          invoice.postDate,
+          invoice.dueDate,
+          settlement.paymentMethod,
+          priced.totalAmount,
+          priced.discountAmount,
+          priced.netTotal,
+          req.user.id ?? null,
+          req.user.username,
+          approver ? approver.id : null,
+        ]
+      );
+
+      // Pick lots FEFO (expired lots are never sold); an item spanning several lots becomes one row per lot
+      const allocated = await allocateLots(db, priced.lines, location.id, { allowNegative: allowNegativeStock });
+
+      // Deduct stock for every cart item, locking the product rows until commit
+      const costs = await deductStock(db, cartItems, {
+        type: "sale",
+        reason: "Invoice",
+        referenceType: "invoice",
+        referenceCode: code,
+        user: req.user,
+        locationId: location.id,
+        lotsAllocated: true,
+        excludeReservation: reservation ? reservation.code : null,
+      });
+      const unitCosts = new Map(costs.map((cost) => [cost.sku, cost.unitCost]));
+
+      // Insert cart items with their cost of goods sold
+      for (const { line: item, allocations } of allocated) {
+        await consumeAllocations(db, allocations);
+        for (const allocation of allocations) {
+          const unitCost = unitCosts.get(item.sku);
+          await db.execute(
+            `INSERT INTO cart_items (invoice_code, sku, name, quantity, price, discount, lot_number, expiry_date, unit_cost, cogs)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              code, // Invoice ID is the EntryCode
+              item.sku,
+              item.name,
+              allocation.quantity,
+              item.price,
+              item.discount,
+              allocation.lotNumber,
+              allocation.expiryDate,
+              unitCost,
+              Math.round(unitCost * allocation.quantity * 100) / 100,
+            ]
+          );
+        }
+      }
+
+      await recordPayments(db, { invoiceCode: code, customerCode: customer.code, payments: settlement.payments, user: req.user });
+
+      if (reservation) {
+        await convertReservation(db, reservation.code, code);
+      }
+
+      await recordAudit(db, req, {
+        action: "create",
+        entity: "invoice",
+        entityKey: code,
+        after: {
+          customer: customer.code,
+          ...invoiceDetails,
+          ...priced,
+          payments: settlement.payments,
+          discountApprovedBy: approver ? approver.username : null,
+        },
+      });
+
+      return { code, changeDue: settlement.changeDue };
+    });
+
+    // Respond with success
+    res.status(200).json({
+      message: "Invoice saved successfully!",
+      invoiceCode: saved.code,
+      changeDue: saved.changeDue,
+    }); // Success response
+  } catch (error) {
+    console.error("Error saving invoice:", error); // Log error
+    if (error.code === "INSUFFICIENT_STOCK") {
+      return res.status(409).json({
+        code: error.code,
+        message: "Failed to save invoice. " + error.message,
+        shortages: error.shortages,
+      }); // Error listing every short SKU, including stock held back because its lot expired
+    }
+    if (error.code === "PRICING_REJECTED") {
+      return res.status(400).json({
+        code: error.code,
+        message: "Failed to save invoice. " + error.message,
+        problems: error.problems,
+        expected: error.expected,
+      }); // Error listing every price, discount and total problem
+    }
+    if (error.code === "PAYMENT_REJECTED" || error.code === "INSUFFICIENT_CREDIT") {
+      return res.status(error.status).json({
+        code: error.code,
+        message: "Failed to save invoice. " + error.message,
+        problems: error.problems,
+      }); // Error if the tenders do not pay the total or the customer lacks store credit
+    }
+    if (error.code === "APPROVAL_REJECTED") {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the override was not approved
+    }
+    res.status(error.status || 500).json({ message: "Failed to save invoice. " + error.message }); // Error response
+  } 
+});
+
+// API endpoint to reserve stock for a parked sale or a customer until it expires
+app.post("/api/reservations", authorize("reservations:write"), async (req, res) => {
+  const { customerCode, locationId, lines, expiresAt, notes } = req.body;
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return res.status(400).json({ message: "A reservation needs at least one line." }); // Error if lines are missing
+  }
+  const invalidLines = lines
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => !line.sku || !Number.isInteger(Number(line.quantity)) || Number(line.quantity) <= 0)
+    .map(({ index }) => `Line at index ${index}`);
+  if (invalidLines.length > 0) {
+    return res.status(400).json({
+      message: `Lines need a SKU and a positive whole quantity: ${invalidLines.join(", ")}`,
+    }); // Error if a line is invalid
+  }
+  if (expiresAt && !(new Date(expiresAt) > new Date())) {
+    return res.status(400).json({ message: "expiresAt must be a date in the future." }); // Error if the expiry is invalid
+  }
+
+  try {
+    const pool = await SSHDBConnection;
+    const reservation = await withTransaction(pool, async (db) => {
+      const location = await resolveLocation(db, locationId);
+      const code = await generateEntryCode(10, db); // Code type 10 is reservations
+      const created = await createReservation(db, {
+        code,
+        customerCode,
+        locationId: location.id,
+        lines,
+        expiresAt,
+        notes,
+        user: req.user,
+      });
+
+      await recordAudit(db, req, { action: "create", entity: "reservation", entityKey: code, after: created });
+      return created;
+    });
+
+    res.status(201).json({ message: "Stock reserved.", ...reservation }); // Success response
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        code: error.code,
+        message: error.message,
+        shortages: error.shortages,
+      }); // Error if the location is unknown or the stock is not available
+    }
+    console.error("Error creating reservation:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to list reservations
+app.get("/api/reservations", authorize("reservations:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    await releaseExpiredReservations(pool);
+
+    const list = parseListQuery(req.query, {
+      searchColumns: ["code", "customer_code", "notes"],
+      sortColumns: { code: "code", date: "created_at", expires: "expires_at" },
+      defaultSort: "created_at",
+      filters: {
+        status: "status",
+        customer: "customer_code",
+        location: "location_id",
+      },
+    });
+    const page = await fetchPage(pool, "SELECT *", "FROM stock_reservations", list);
+    res.status(200).json(page); // Success response with reservations
+  } catch (error) {
+    console.error("Error retrieving reservations:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to get a reservation with its lines, ready to load into the cart
+app.get("/api/reservations/:code", authorize("reservations:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const reservation = await snapshot(pool, "stock_reservations", "code", req.params.code);
+    if (!reservation) {
+      return res.status(404).json({ message: "Reservation not found." }); // Error if reservation not found
+    }
+
+    const [lines] = await pool.query(
+      `SELECT rl.sku, p.productName AS name, rl.quantity, CAST(p.price AS DOUBLE) AS price
+       FROM stock_reservation_lines rl
+       LEFT JOIN products p ON p.sku = rl.sku
+       WHERE rl.reservation_code = ?
+       ORDER BY rl.id`,
+      [req.params.code]
+    );
+    res.status(200).json({ ...reservation, lines }); // Success response with the reservation
+  } catch (error) {
+    console.error("Error retrieving reservation:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to cancel a reservation, releasing its stock
+app.post("/api/reservations/:code/cancel", authorize("reservations:write"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    await withTransaction(pool, async (db) => {
+      await cancelReservation(db, req.params.code);
+      await recordAudit(db, req, {
+        action: "cancel",
+        entity: "reservation",
+        entityKey: req.params.code,
+        before: { status: "active" },
+        after: { status: "released" },
+      });
+    });
+
+    res.status(200).json({ message: "Reservation cancelled and stock released." }); // Success response
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the reservation is closed
+    }
+    console.error("Error cancelling reservation:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to list invoices
+app.get("/api/invoices", authorize("invoices:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const list = parseListQuery(req.query, {
+      searchColumns: ["i.code", "c.name", "i.customer_id"],
+      sortColumns: {
+        code: "i.code",
+        date: "i.post_date",
+        customer: "c.name",
+        netTotal: "i.net_total",
+      },
+      defaultSort: "i.post_date",
+      filters: {
+        from: (value) => ["i.post_date >= ?", [value]],
+        to: (value) => ["i.post_date < DATE_ADD(?, INTERVAL 1 DAY)", [value]],
+        customer: "i.customer_id",
+        paymentMethod: (value) => [
+          "EXISTS (SELECT 1 FROM invoice_payments ip WHERE ip.invoice_code = i.code AND ip.method = ?)",
+          [value],
+        ],
+        cashier: "i.cashier_id",
+        status: "i.status",
+        location: "i.location_id",
+      },
+    });
+    if (!req.query.order) {
+      list.orderBy = `${list.orderBy.split(" ")[0]} DESC, i.code DESC`; // Newest invoices first unless asked otherwise
+    }
+
+    const page = await fetchPage(
+      pool,
+      `SELECT i.code, i.post_date, i.due_date, i.customer_id, c.name AS customer_name, i.payment_method,
+         i.total_amount, i.discount_amount, i.net_total, i.status, i.cashier_id, i.cashier_name,
+         i.location_id, l.name AS location_name`,
+      `FROM sales_invoices i
+       LEFT JOIN customers c ON c.code = i.customer_id
+       LEFT JOIN locations l ON l.id = i.location_id`,
+      list
+    );
+    res.status(200).json(page); // Success response with invoices
+  } catch (error) {
+    console.error("Error retrieving invoices:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to get an invoice with its line items and customer
+app.get("/api/invoices/:code", authorize("invoices:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const invoice = await loadInvoice(pool, req.params.code);
+    if (!invoice) {
+      return res.status(404).json({ message: "Invoice not found." }); // Error if invoice not found
+    }
+
+    res.status(200).json(invoice); // Success response with the invoice
+  } catch (error) {
+    console.error("Error retrieving invoice:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to reprint a receipt; counts the copy and returns the invoice marked as a reprint
+app.post("/api/invoices/:code/reprint", authorize("invoices:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const [result] = await pool.query(
+      "UPDATE sales_invoices SET reprint_count = reprint_count + 1 WHERE code = ?",
+      [req.params.code]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Invoice not found." }); // Error if invoice not found
+    }
+
+    const invoice = await loadInvoice(pool, req.params.code);
+    await recordAudit(pool, req, {
+      action: "reprint",
+      entity: "invoice",
+      entityKey: req.params.code,
+      after: { reprint_count: invoice.reprint_count },
+    });
+    res.status(200).json({ ...invoice, reprint: true }); // Success response with the invoice
+  } catch (error) {
+    console.error("Error reprinting invoice:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to void an invoice rung up by mistake; a manager approves it at the till
+// unless the caller may void invoices themselves
+app.post("/api/invoices/:code/void", authorize("invoices:write"), async (req, res) => {
+  const { reason, approval } = req.body;
+
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ message: "A reason is required to void an invoice." }); // Error if the reason is missing
+  }
+
+  try {
+    const pool = await SSHDBConnection;
+
+    // Checked before the transaction so failed attempts still count towards the lockout
+    let approver;
+    if (approval) {
+      approver = await verifyApproval(pool, approval, "invoices:void");
+    } else if (hasPermission(req.user.permissions, "invoices:void")) {
+      approver = { id: req.user.id ?? null, username: req.user.username };
+    } else {
+      return res.status(403).json({
+        code: "APPROVAL_REQUIRED",
+        message: "Voiding an invoice needs a manager's approval.",
+      }); // Error if no manager approved the void
+    }
+
+    const { after } = await withTransaction(pool, async (db) => {
+      const voided = await voidInvoice(db, req.params.code, {
+        reason: String(reason).trim(),
+        approver,
+        user: req.user,
+      });
+      await recordAudit(db, req, {
+        action: "void",
+        entity: "invoice",
+        entityKey: req.params.code,
+        before: voided.before,
+        after: { ...voided.after, voidApprovedBy: approver.username },
+      });
+      return voided;
+    });
+
+    res.status(200).json({
+      message: "Invoice voided.",
+      invoiceCode: after.code,
+      status: after.status,
+      approvedBy: approver.username,
+    }); // Success response
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the approval failed or the invoice cannot be voided
+    }
+    console.error("Error voiding invoice:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
 });
 
-// API endpoint to get all purchase orders
-app.get("/api/get-purchase-orders", async (req, res) => {
+// API endpoint to return items from an invoice, issuing a credit note
+app.post("/api/invoices/:code/returns", authorize("returns:write"), async (req, res) => {
+  const { lines, reason, refundMethod, locationId } = req.body;
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return res.status(400).json({ message: "A return needs at least one line." }); // Error if lines are missing
+  }
+  const invalidLines = lines
+    .map((line, index) => ({ line, index }))
+    .filter(
+      ({ line }) =>
+        !line.sku ||
+        !Number.isInteger(Number(line.quantity)) ||
+        Number(line.quantity) <= 0 ||
+        (line.condition !== undefined && !itemConditions.includes(line.condition))
+    )
+    .map(({ index }) => `Line at index ${index}`);
+  if (invalidLines.length > 0) {
+    return res.status(400).json({
+      message: `Lines need a SKU, a positive whole quantity and a condition of ${itemConditions.join(" or ")}: ${invalidLines.join(", ")}`,
+    }); // Error if a line is invalid
+  }
+  if (!refundMethods.includes(refundMethod)) {
+    return res.status(400).json({ message: `refundMethod must be one of ${refundMethods.join(", ")}.` }); // Error if the refund method is unknown
+  }
+
   try {
-    const pool = await SSHDBConnection; 
-    const [rows] = await pool.query("SELECT * FROM purchaseorder  ");
-    res.status(200).json(rows); // Success response with purchase orders
+    const pool = await SSHDBConnection;
+    const creditNote = await withTransaction(pool, async (db) => {
+      const location = locationId ? await resolveLocation(db, locationId) : null;
+      const code = await generateEntryCode(11, db); // Code type 11 is credit notes
+      const created = await createCreditNote(db, {
+        code,
+        invoiceCode: req.params.code,
+        lines,
+        reason,
+        refundMethod,
+        locationId: location ? location.id : null,
+        user: req.user,
+      });
+
+      await recordAudit(db, req, { action: "create", entity: "credit-note", entityKey: code, after: created });
+      return created;
+    });
+
+    res.status(201).json({ message: "Return recorded.", ...creditNote }); // Success response
   } catch (error) {
-    console.log(error); // Log error
+    if (error.status) {
+      return res.status(error.status).json({
+        code: error.code,
+        message: error.message,
+        problems: error.problems,
+      }); // Error if the invoice is unknown or closed, or a line cannot be returned
+    }
+    console.error("Error recording return:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
   }
 });
 
-// API endpoint to save an invoice
-app.post("/api/save-invoice", async (req, res) => {
-  const { customer, invoice, cartItems } = req.body;
-  const EntryCode = await generateEntryCode(6);
+// API endpoint to list the credit notes issued against an invoice
+app.get("/api/invoices/:code/returns", authorize("returns:read"), async (req, res) => {
   try {
-    // Establish a connection from the pool
-    const connection = await SSHDBConnection; 
-
-    // Start transaction
-    await connection.beginTransaction();
+    const pool = await SSHDBConnection;
+    const [creditNotes] = await pool.query(
+      "SELECT * FROM credit_notes WHERE invoice_code = ? ORDER BY id",
+      [req.params.code]
+    );
+    res.status(200).json(creditNotes); // Success response with the credit notes
+  } catch (error) {
+    console.error("Error retrieving invoice returns:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
 
-    // Debugging: log the variables to ensure they are correctly formatted
-    console.log('Customer:', customer);
-    console.log('Invoice:', invoice);
-    console.log('Cart Items:', cartItems);
+// API endpoint to list credit notes
+app.get("/api/credit-notes", authorize("returns:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const list = parseListQuery(req.query, {
+      searchColumns: ["n.code", "n.invoice_code", "c.name", "n.customer_id"],
+      sortColumns: { code: "n.code", date: "n.created_at", total: "n.total_amount" },
+      defaultSort: "n.created_at",
+      filters: {
+        from: (value) => ["n.created_at >= ?", [value]],
+        to: (value) => ["n.created_at < DATE_ADD(?, INTERVAL 1 DAY)", [value]],
+        invoice: "n.invoice_code",
+        customer: "n.customer_id",
+        refundMethod: "n.refund_method",
+        location: "n.location_id",
+      },
+    });
 
-    // Insert into the invoices table
-    const [invoiceResult] = await connection.execute(
-      `INSERT INTO sales_invoices (code, customer_id, post_date, due_date, payment_method, total_amount, discount_amount, net_total)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        EntryCode,
-        customer.code,
-        invoice.postDate,
-        invoice.dueDate,
-        invoice.paymentMethod,
-        invoice.totalAmount,
-        invoice.discountAmount,
-        invoice.netTotal,
-      ]
+    const page = await fetchPage(
+      pool,
+      "SELECT n.*, c.name AS customer_name",
+      "FROM credit_notes n LEFT JOIN customers c ON c.code = n.customer_id",
+      list
     );
+    res.status(200).json(page); // Success response with credit notes
+  } catch (error) {
+    console.error("Error retrieving credit notes:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
 
-    // Debugging: Ensure invoice insertion was successful
-    console.log('Invoice inserted, result:', invoiceResult);
-
-    // Insert cart items
-    const cartItemPromises = cartItems.map((item) => {
-      return connection.execute(
-        `INSERT INTO cart_items (invoice_code, sku, name, quantity, price, discount)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [
-          EntryCode, // Invoice ID is the EntryCode
-          item.sku,
-          item.name,
-          item.quantity,
-          item.price,
-          item.discount || 0, // Ensure discount defaults to 0 if not provided
-        ]
-      );
-    });
+// API endpoint to get a credit note with its lines
+app.get("/api/credit-notes/:code", authorize("returns:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const creditNote = await snapshot(pool, "credit_notes", "code", req.params.code);
+    if (!creditNote) {
+      return res.status(404).json({ message: "Credit note not found." }); // Error if credit note not found
+    }
 
-    // Wait for all cart items to be inserted
-    await Promise.all(cartItemPromises);
+    const [lines] = await pool.query(
+      `SELECT l.sku, p.productName AS name, l.lot_number, l.quantity, CAST(l.unit_price AS DOUBLE) AS unit_price,
+         CAST(l.amount AS DOUBLE) AS amount, l.item_condition
+       FROM credit_note_lines l
+       LEFT JOIN products p ON p.sku = l.sku
+       WHERE l.credit_note_code = ?
+       ORDER BY l.id`,
+      [req.params.code]
+    );
+    res.status(200).json({ ...creditNote, lines }); // Success response with the credit note
+  } catch (error) {
+    console.error("Error retrieving credit note:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
 
-    // Commit transaction
-    await connection.commit();
+// API endpoint to get a customer's store credit balance and its recent history
+app.get("/api/customers/:code/store-credit", authorize("customers:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const [[customer]] = await pool.query(
+      "SELECT code, name, CAST(store_credit AS DOUBLE) AS store_credit FROM customers WHERE code = ?",
+      [req.params.code]
+    );
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found." }); // Error if customer not found
+    }
 
-    // Respond with success
-    res.status(200).json({ message: "Invoice saved successfully!", invoiceCode: EntryCode }); // Success response
+    const [history] = await pool.query(
+      `SELECT CAST(amount AS DOUBLE) AS amount, CAST(balance_after AS DOUBLE) AS balance_after,
+         reference_type, reference_code, created_at
+       FROM customer_credit_ledger
+       WHERE customer_code = ?
+       ORDER BY id DESC
+       LIMIT 50`,
+      [req.params.code]
+    );
+    res.status(200).json({ ...customer, history }); // Success response with the balance
   } catch (error) {
-    // Rollback transaction if there's an error
-    // if (connection) await connection.rollback();
-    console.error("Error saving invoice:", error); // Log error
-    res.status(500).json({ message: "Failed to save invoice. " + error.message }); // Error response
-  } 
+    console.error("Error retrieving store credit:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
 });
 
 // API endpoint to get purchase order details
-app.get("/api/get-purchase-orders-details", async (req, res) => {
+app.get("/api/get-purchase-orders-details", authorize("purchase-orders:read"), async (req, res) => {
   try {
     const poCode = req.query.poCode;
 
@@ -1022,7 +3250,10 @@ app.get("/api/get-purchase-orders-details", async (req, res) => {
     console.log("Executing query:", "SELECT * FROM purchaseorderdetails where poCode= ?", [poCode]);
     const pool = await SSHDBConnection; 
 
-    const [rows] = await pool.query("SELECT * FROM purchaseorderdetails WHERE poCode = ?", [poCode]);
+    const [rows] = await pool.query(
+      "SELECT *, GREATEST(qty - received_qty, 0) AS outstanding_qty FROM purchaseorderdetails WHERE poCode = ?",
+      [poCode]
+    );
 
     if (rows.length === 0) {
       return res.status(404).json({ error: "No purchase order found for the given poCode" }); // Error if no purchase order found
@@ -1035,8 +3266,249 @@ app.get("/api/get-purchase-orders-details", async (req, res) => {
   }
 });
 
+// API endpoint to draft purchase orders, one per preferred supplier, for everything below its reorder point.
+// Send dryRun: true to preview the orders without creating them.
+app.post("/api/purchase-orders/generate-reorders", authorize("purchase-orders:write"), async (req, res) => {
+  const { dryRun, supplier, category } = req.body;
+
+  try {
+    const pool = await SSHDBConnection;
+    const result = await withTransaction(pool, async (db) => {
+      const lowStock = await findLowStock(db, { supplier, category });
+      if (dryRun) {
+        return { orders: [], skipped: [], preview: lowStock.filter((product) => product.needs_order) };
+      }
+
+      const drafted = await draftReorders(db, lowStock, () => generateEntryCode(2, db));
+      for (const order of drafted.orders) {
+        await recordAudit(db, req, {
+          action: "create",
+          entity: "purchase-order",
+          entityKey: order.poCode,
+          after: { ...order, generatedFrom: "reorder-points" },
+        });
+      }
+      return drafted;
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun
+        ? "Preview of products that need ordering."
+        : `${result.orders.length} draft purchase order(s) created.`,
+      ...result,
+    }); // Success response with the drafted orders
+  } catch (error) {
+    console.error("Error generating reorders:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to edit a draft purchase order, replacing its detail lines
+app.put("/api/purchase-orders/:poCode", authorize("purchase-orders:write"), async (req, res) => {
+  const { poCode } = req.params;
+  const { supplier, orderDetails, totalCost } = req.body;
+
+  if (!supplier || !supplier.code || !Array.isArray(orderDetails) || orderDetails.length === 0) {
+    return res.status(400).json({ message: "A supplier and at least one order line are required." }); // Error if fields are missing
+  }
+  const invalidLines = orderDetails
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => !item.sku || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0)
+    .map(({ index }) => `Line at index ${index}`);
+  if (invalidLines.length > 0) {
+    return res.status(400).json({
+      message: `Lines need a SKU and a positive whole quantity: ${invalidLines.join(", ")}`,
+    }); // Error if a line is invalid
+  }
+  const duplicated = duplicateSkus(orderDetails);
+  if (duplicated.length > 0) {
+    return res.status(400).json({
+      message: `Each SKU may appear on one line only: ${duplicated.join(", ")}`,
+    }); // Error if a SKU is listed twice
+  }
+
+  try {
+    const pool = await SSHDBConnection;
+    await withTransaction(pool, async (db) => {
+      const { before, after } = await updateDraftPurchaseOrder(db, poCode, { supplier, orderDetails, totalCost });
+      await recordAudit(db, req, {
+        action: "update",
+        entity: "purchase-order",
+        entityKey: poCode,
+        before,
+        after,
+      });
+    });
+
+    res.status(200).json({ message: "Purchase order updated successfully." }); // Success response
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the order cannot be edited
+    }
+    console.error("Error updating purchase order:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to move a purchase order through its workflow (approve, send, cancel, back to draft)
+app.post("/api/purchase-orders/:poCode/status", authorize("purchase-orders:write"), async (req, res) => {
+  const { poCode } = req.params;
+  const { status } = req.body;
+
+  if (!status) {
+    return res.status(400).json({ message: "Status is required." }); // Error if status is missing
+  }
+  if (status === "approved" && !hasPermission(req.user.permissions, "purchase-orders:approve")) {
+    return res.status(403).json({
+      code: "FORBIDDEN",
+      message: "You do not have permission to approve purchase orders.",
+      permission: "purchase-orders:approve",
+    }); // Error if the caller may not approve
+  }
+
+  try {
+    const pool = await SSHDBConnection;
+    await withTransaction(pool, async (db) => {
+      const { before, after } = await changePurchaseOrderStatus(db, poCode, status, req.user);
+      await recordAudit(db, req, {
+        action: status === "approved" ? "approve" : "status-change",
+        entity: "purchase-order",
+        entityKey: poCode,
+        before: { status: before.status },
+        after: { status: after.status },
+      });
+    });
+
+    res.status(200).json({ message: `Purchase order is now ${status}.`, status }); // Success response
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        code: error.code,
+        message: error.message,
+        allowed: error.allowed,
+      }); // Error if the transition is not allowed
+    }
+    console.error("Error changing purchase order status:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to receive goods against a purchase order (goods received note)
+app.post("/api/purchase-orders/:poCode/receipts", authorize("purchase-orders:receive"), async (req, res) => {
+  const { poCode } = req.params;
+  const { lines, receivedDate, notes, allowOverReceipt, locationId } = req.body;
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return res.status(400).json({ message: "At least one received line is required." }); // Error if lines are missing
+  }
+  const invalidLines = lines
+    .map((line, index) => ({ line, index }))
+    .filter(
+      ({ line }) =>
+        !line.sku ||
+        !Number.isInteger(Number(line.quantity)) ||
+        Number(line.quantity) <= 0 ||
+        (line.cost !== undefined &&
+          line.cost !== null &&
+          (line.cost === "" || !Number.isFinite(Number(line.cost)) || Number(line.cost) < 0))
+    )
+    .map(({ index }) => `Line at index ${index}`);
+  if (invalidLines.length > 0) {
+    return res.status(400).json({
+      message: `Lines need a SKU, a positive whole quantity and, if given, a cost of zero or more: ${invalidLines.join(", ")}`,
+    }); // Error if a line is invalid
+  }
+  const unlottedExpiries = lines
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => line.expiryDate && (!line.lotNumber || isNaN(Date.parse(line.expiryDate))))
+    .map(({ index }) => `Line at index ${index}`);
+  if (unlottedExpiries.length > 0) {
+    return res.status(400).json({
+      message: `An expiry date must be a valid date and needs a lot number: ${unlottedExpiries.join(", ")}`,
+    }); // Error if an expiry date is invalid or has no lot
+  }
+  if (allowOverReceipt && !hasPermission(req.user.permissions, "purchase-orders:approve")) {
+    return res.status(403).json({
+      code: "FORBIDDEN",
+      message: "Receiving more than ordered needs approval permission.",
+      permission: "purchase-orders:approve",
+    }); // Error if the caller may not override
+  }
+
+  try {
+    const pool = await SSHDBConnection;
+    const result = await withTransaction(pool, async (db) => {
+      const location = await resolveLocation(db, locationId);
+      const grnCode = await generateEntryCode(7, db); // Code type 7 is goods received notes
+      const received = await receiveGoods(db, {
+        grnCode,
+        poCode,
+        locationId: location.id,
+        lines,
+        receivedDate: receivedDate || new Date().toISOString().slice(0, 10),
+        notes,
+        allowOverReceipt: Boolean(allowOverReceipt),
+        user: req.user,
+      });
+
+      await recordAudit(db, req, {
+        action: "receive",
+        entity: "purchase-order",
+        entityKey: poCode,
+        after: { grnCode, lines },
+      });
+
+      return { grnCode, ...received };
+    });
+
+    res.status(201).json({
+      message: "Goods received successfully.",
+      grnCode: result.grnCode,
+      lines: result.lines,
+    }); // Success response with the outstanding quantity per line
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        code: error.code,
+        message: error.message,
+        problems: error.problems,
+      }); // Error if the receipt was rejected
+    }
+    console.error("Error receiving goods:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to list the goods received notes of a purchase order with their lines
+app.get("/api/purchase-orders/:poCode/receipts", authorize("purchase-orders:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const [receipts] = await pool.query(
+      "SELECT * FROM goods_receipts WHERE po_code = ? ORDER BY id",
+      [req.params.poCode]
+    );
+    const [lines] = await pool.query(
+      `SELECT l.* FROM goods_receipt_lines l
+       JOIN goods_receipts g ON g.code = l.grn_code
+       WHERE g.po_code = ?
+       ORDER BY l.id`,
+      [req.params.poCode]
+    );
+
+    res.status(200).json(
+      receipts.map((receipt) => ({
+        ...receipt,
+        lines: lines.filter((line) => line.grn_code === receipt.code),
+      }))
+    ); // Success response with receipts
+  } catch (error) {
+    console.error("Error retrieving goods receipts:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
 // API endpoint to get receipt entry code
-app.post("/api/get-reciept-entry-code", async (req, res) => {
+app.post("/api/get-reciept-entry-code", authorize("invoices:write"), async (req, res) => {
   try {
     const { codeType } = req.body;
     const pool = await SSHDBConnection; 
@@ -1060,12 +3532,13 @@ app.post("/api/get-reciept-entry-code", async (req, res) => {
   }
 });
 
-app.get('/api/sales/by-date', async (req, res) => {
+app.get('/api/sales/by-date', authorize("reports:read"), async (req, res) => {
   const query = `
     SELECT 
       DATE(post_date) AS date, 
       SUM(net_total) AS total_net 
     FROM saysmulx_qtmp.sales_invoices 
+    WHERE status <> 'void'
     GROUP BY DATE(post_date)
     ORDER BY date;
   `;
@@ -1079,12 +3552,13 @@ app.get('/api/sales/by-date', async (req, res) => {
   }
 });
 
-app.get('/api/sales/by-month', async (req, res) => {
+app.get('/api/sales/by-month', authorize("reports:read"), async (req, res) => {
   const query = `
     SELECT 
       DATE_FORMAT(post_date, '%Y-%m') AS month, 
       SUM(net_total) AS total_net 
     FROM saysmulx_qtmp.sales_invoices 
+    WHERE status <> 'void'
     GROUP BY DATE_FORMAT(post_date, '%Y-%m')
     ORDER BY month;
   `;
@@ -1099,12 +3573,13 @@ app.get('/api/sales/by-month', async (req, res) => {
 });
 
 
-app.get('/api/sales/by-year', async (req, res) => {
+app.get('/api/sales/by-year', authorize("reports:read"), async (req, res) => {
   const query = `
     SELECT 
       YEAR(post_date) AS year, 
       SUM(net_total) AS total_net 
     FROM saysmulx_qtmp.sales_invoices 
+    WHERE status <> 'void'
     GROUP BY YEAR(post_date)
     ORDER BY year;
   `;
@@ -1118,6 +3593,317 @@ app.get('/api/sales/by-year', async (req, res) => {
   }
 });
 
+// API endpoint to report products at or below their reorder point, with quantities already on order
+app.get("/api/reports/low-stock", authorize("reports:read"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const location = req.query.locationId ? await resolveLocation(pool, req.query.locationId) : null;
+    const products = await findLowStock(pool, {
+      locationId: location ? location.id : null,
+      supplier: req.query.supplier,
+      category: req.query.category,
+    });
+
+    res.status(200).json({
+      data: products,
+      total: products.length,
+      needsOrder: products.filter((product) => product.needs_order).length,
+    }); // Success response with low-stock products
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ code: error.code, message: error.message }); // Error if the location is unknown
+    }
+    console.error("Error building low-stock report:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to value inventory as of a date (?asOf=YYYY-MM-DD, default today) from the costed stock ledger
+app.get("/api/reports/inventory-valuation", authorize("reports:read"), async (req, res) => {
+  const asOf = req.query.asOf || new Date().toISOString().slice(0, 10);
+  if (isNaN(Date.parse(asOf))) {
+    return res.status(400).json({ message: "asOf must be a date (YYYY-MM-DD)." }); // Error if the date is invalid
+  }
+
+  const conditions = ["m.created_at < DATE_ADD(?, INTERVAL 1 DAY)"];
+  const params = [asOf];
+  if (req.query.locationId) {
+    conditions.push("m.location_id = ?");
+    params.push(req.query.locationId);
+  }
+  if (req.query.category) {
+    conditions.push("p.category = ?");
+    params.push(req.query.category);
+  }
+
+  try {
+    const pool = await SSHDBConnection;
+    const [rows] = await pool.query(
+      `SELECT m.sku, p.productName, p.category,
+         CAST(SUM(m.quantity) AS SIGNED) AS quantity,
+         CAST(ROUND(SUM(m.value), 2) AS DOUBLE) AS value
+       FROM inventory_movements m
+       JOIN products p ON p.sku = m.sku
+       WHERE ${conditions.join(" AND ")}
+       GROUP BY m.sku, p.productName, p.category
+       HAVING quantity <> 0 OR value <> 0
+       ORDER BY p.productName`,
+      params
+    );
+
+    res.status(200).json({
+      asOf,
+      costingMethod,
+      data: rows.map((row) => ({
+        ...row,
+        unit_cost: row.quantity > 0 ? Math.round((row.value / row.quantity) * 10000) / 10000 : null,
+      })),
+      totalQuantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+      totalValue: Math.round(rows.reduce((sum, row) => sum + row.value, 0) * 100) / 100,
+    }); // Success response with the valuation
+  } catch (error) {
+    console.error("Error building inventory valuation:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to total payments by tender method between ?from= and ?to= (inclusive), less refunds;
+// void invoices are left out
+app.get("/api/reports/payment-methods", authorize("reports:read"), async (req, res) => {
+  const { from, to, locationId } = req.query;
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ message: "from and to must be dates (YYYY-MM-DD)." }); // Error if a date is invalid
+  }
+
+  const paymentConditions = ["i.status <> 'void'"];
+  const paymentParams = [];
+  const refundConditions = [];
+  const refundParams = [];
+  if (from) {
+    paymentConditions.push("i.post_date >= ?");
+    paymentParams.push(from);
+    refundConditions.push("n.created_at >= ?");
+    refundParams.push(from);
+  }
+  if (to) {
+    paymentConditions.push("i.post_date < DATE_ADD(?, INTERVAL 1 DAY)");
+    paymentParams.push(to);
+    refundConditions.push("n.created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+    refundParams.push(to);
+  }
+  if (locationId) {
+    paymentConditions.push("i.location_id = ?");
+    paymentParams.push(locationId);
+    refundConditions.push("n.location_id = ?");
+    refundParams.push(locationId);
+  }
+
+  try {
+    const pool = await SSHDBConnection;
+    const [payments] = await pool.query(
+      `SELECT p.method, COUNT(DISTINCT p.invoice_code) AS invoices,
+         CAST(SUM(p.amount) AS DOUBLE) AS amount, CAST(SUM(p.change_due) AS DOUBLE) AS change_given
+       FROM invoice_payments p
+       JOIN sales_invoices i ON i.code = p.invoice_code
+       WHERE ${paymentConditions.join(" AND ")}
+       GROUP BY p.method`,
+      paymentParams
+    );
+    const [refunds] = await pool.query(
+      `SELECT n.refund_method AS method, CAST(SUM(n.total_amount) AS DOUBLE) AS amount
+       FROM credit_notes n
+       ${refundConditions.length > 0 ? `WHERE ${refundConditions.join(" AND ")}` : ""}
+       GROUP BY n.refund_method`,
+      refundParams
+    );
+
+    const refundsByMethod = new Map(refunds.map((row) => [row.method, row.amount]));
+    const methods = [...new Set([...payments.map((row) => row.method), ...refundsByMethod.keys()])].sort();
+    const data = methods.map((method) => {
+      const payment = payments.find((row) => row.method === method);
+      const received = payment ? payment.amount : 0;
+      const refunded = refundsByMethod.get(method) || 0;
+      return {
+        method,
+        invoices: payment ? payment.invoices : 0,
+        received,
+        changeGiven: payment ? payment.change_given : 0,
+        refunded,
+        net: Math.round((received - refunded) * 100) / 100,
+      };
+    });
+
+    res.status(200).json({
+      from: from || null,
+      to: to || null,
+      data,
+      totalReceived: Math.round(data.reduce((sum, row) => sum + row.received, 0) * 100) / 100,
+      totalRefunded: Math.round(data.reduce((sum, row) => sum + row.refunded, 0) * 100) / 100,
+    }); // Success response with payment method totals
+  } catch (error) {
+    console.error("Error building payment method report:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to report lots that expire within ?days= days (default 30), expired lots included
+app.get("/api/reports/near-expiry", authorize("reports:read"), async (req, res) => {
+  const days = parseInt(req.query.days, 10);
+  const list = parseListQuery(req.query, {
+    searchColumns: ["l.sku", "p.productName", "l.lot_number"],
+    sortColumns: { expiry: "l.expiry_date", sku: "l.sku", quantity: "l.quantity" },
+    defaultSort: "l.expiry_date",
+    filters: {
+      location: "l.location_id",
+      category: "p.category",
+      includeExpired: (value) => (value === "false" ? ["l.expiry_date >= CURDATE()", []] : null),
+    },
+  });
+  const conditions = ["l.quantity > 0", "l.expiry_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)"];
+  list.where = list.where ? `${list.where} AND ${conditions.join(" AND ")}` : `WHERE ${conditions.join(" AND ")}`;
+  list.params.push(Number.isNaN(days) ? 30 : days);
+
+  try {
+    const pool = await SSHDBConnection;
+    const page = await fetchPage(
+      pool,
+      `SELECT l.sku, p.productName, l.location_id, loc.name AS location_name, l.lot_number, l.expiry_date,
+         l.quantity, DATEDIFF(l.expiry_date, CURDATE()) AS days_to_expiry, l.expiry_date < CURDATE() AS expired,
+         CAST(l.quantity * COALESCE(p.avg_cost, p.cost, 0) AS DOUBLE) AS cost_value`,
+      `FROM stock_lots l
+       JOIN products p ON p.sku = l.sku
+       JOIN locations loc ON loc.id = l.location_id`,
+      list
+    );
+    res.status(200).json(page); // Success response with lots
+  } catch (error) {
+    console.error("Error building near-expiry report:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to query the audit trail
+app.get("/api/audit-log", authorize("audit:read"), async (req, res) => {
+  const list = parseListQuery(req.query, {
+    sortColumns: { date: "created_at", user: "username", entity: "entity", action: "action" },
+    defaultSort: "created_at",
+    filters: {
+      userId: "user_id",
+      username: "username",
+      action: "action",
+      entity: "entity",
+      entityKey: "entity_key",
+      from: (value) => ["created_at >= ?", [value]],
+      to: (value) => ["created_at < DATE_ADD(?, INTERVAL 1 DAY)", [value]],
+    },
+  });
+  if (!req.query.order) {
+    list.orderBy = `${list.orderBy.split(" ")[0]} DESC, id DESC`; // Newest entries first unless another order is asked for
+  }
+
+  try {
+    const pool = await SSHDBConnection;
+    const page = await fetchPage(pool, "SELECT *", "FROM audit_log", list);
+    res.status(200).json(page); // Success response with audit entries
+  } catch (error) {
+    console.error("Error retrieving audit log:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to create an API key for an integration; the key is only returned once
+app.post("/api/api-keys", authorize("api-keys:manage"), async (req, res) => {
+  const { name, scopes } = req.body;
+
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ message: "Name and a non-empty list of scopes are required." }); // Error if fields are missing
+  }
+
+  const unknownScopes = scopes.filter((scope) => !allPermissions.includes(scope));
+  if (unknownScopes.length > 0) {
+    return res.status(400).json({ message: `Unknown scopes: ${unknownScopes.join(", ")}` }); // Error if a scope does not exist
+  }
+  const userOnlyScopes = scopes.filter((scope) => userOnlyPermissions.includes(scope));
+  if (userOnlyScopes.length > 0) {
+    return res.status(400).json({
+      message: `API keys cannot be given these scopes: ${userOnlyScopes.join(", ")}`,
+    }); // Error if a scope may only be held by users
+  }
+
+  try {
+    const pool = await SSHDBConnection;
+    const { id, key } = await createApiKey(pool, name, scopes, req.user.id);
+    await recordAudit(pool, req, { action: "create", entity: "api-key", entityKey: id, after: { name, scopes } });
+
+    res.status(201).json({
+      message: "API key created. Store it now, it will not be shown again.",
+      id,
+      name,
+      scopes,
+      key,
+    }); // Success response with the new key
+  } catch (error) {
+    console.error("Error creating API key:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to list API keys without their secrets
+app.get("/api/api-keys", authorize("api-keys:manage"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const list = parseListQuery(req.query, {
+      searchColumns: ["name", "key_prefix"],
+      sortColumns: { name: "name", created: "created_at", lastUsed: "last_used_at" },
+      defaultSort: "created_at",
+      filters: {
+        revoked: (value) => [value === "true" ? "revoked_at IS NOT NULL" : "revoked_at IS NULL", []],
+      },
+    });
+    const page = await fetchPage(
+      pool,
+      "SELECT id, name, key_prefix, scopes, created_by, created_at, last_used_at, revoked_at",
+      "FROM api_keys",
+      list
+    );
+    res.status(200).json(page); // Success response with API keys
+  } catch (error) {
+    console.error("Error retrieving API keys:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// API endpoint to revoke an API key
+app.delete("/api/api-keys/:id", authorize("api-keys:manage"), async (req, res) => {
+  try {
+    const pool = await SSHDBConnection;
+    const [result] = await pool.query(
+      "UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+      [req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "API key not found or already revoked." }); // Error if key not found
+    }
+
+    await recordAudit(pool, req, { action: "revoke", entity: "api-key", entityKey: req.params.id });
+    res.status(200).json({ message: "API key revoked." }); // Success response
+  } catch (error) {
+    console.error("Error revoking API key:", error); // Log error
+    res.status(500).json({ message: "Internal server error" }); // Error response
+  }
+});
+
+// Mark expired reservations every few minutes; they stop holding stock the moment they expire either way
+setInterval(async () => {
+  try {
+    const pool = await SSHDBConnection;
+    await releaseExpiredReservations(pool);
+  } catch (error) {
+    console.error("Error releasing expired reservations:", error); // Log error
+  }
+}, 5 * 60 * 1000).unref();
+
 // Start the server
 app.listen(port, () => {
     console.log(`Server is running on http://localhost:${port}`); // Log server start message
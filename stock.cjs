@@ -0,0 +1,209 @@
+const { takeFromLots, addToLot } = require("./lots.cjs");
+const { costMovement } = require("./costing.cjs");
+const { reservedQuantities } = require("./reservations.cjs");
+
+// Whether sales may take stock below zero (ALLOW_NEGATIVE_STOCK=true), e.g. while receiving is not yet recorded
+const allowNegativeStock = process.env.ALLOW_NEGATIVE_STOCK === "true";
+
+// Kinds of stock movement the ledger accepts
+const movementTypes = [
+  "opening",
+  "sale",
+  "purchase-receipt",
+  "adjustment",
+  "return",
+  "transfer",
+  "stocktake",
+  "void",
+];
+
+// Get the id of the default location, used when a movement names no location
+async function defaultLocationId(db) {
+  const [[location]] = await db.query("SELECT id FROM locations WHERE is_default = 1 LIMIT 1");
+  if (!location) {
+    throw new Error("No default stock location is configured.");
+  }
+  return location.id;
+}
+
+// Lock a product's balance at a location, creating an empty one if it has never held stock there
+async function lockLocationBalance(db, locationId, sku) {
+  await db.query(
+    "INSERT IGNORE INTO stock_balances (location_id, sku, quantity) VALUES (?, ?, 0)",
+    [locationId, sku]
+  );
+  const [[row]] = await db.query(
+    "SELECT quantity FROM stock_balances WHERE location_id = ? AND sku = ? FOR UPDATE",
+    [locationId, sku]
+  );
+  return Number(row.quantity);
+}
+
+// Append a movement to the ledger and apply it to the location balance and products.intQty.
+// Stock coming in with movement.lot goes into that lot; stock going out is taken off the lots
+// FEFO unless the caller already allocated lots (lotsAllocated). Incoming stock is valued at
+// movement.unitCost when known. Returns the new balance with the movement's unit cost and value.
+// Call inside a transaction so the row locks hold until the caller commits.
+async function recordStockMovement(db, movement) {
+  const {
+    sku,
+    type,
+    quantity,
+    reason = null,
+    referenceType = null,
+    referenceCode = null,
+    user = {},
+    allowNegative = true,
+    lot = null,
+    lotsAllocated = false,
+    unitCost = null,
+  } = movement;
+
+  if (!movementTypes.includes(type)) {
+    throw new Error(`Unknown stock movement type "${type}".`);
+  }
+
+  const [rows] = await db.query("SELECT intQty, cost, avg_cost FROM products WHERE sku = ? FOR UPDATE", [sku]);
+  if (rows.length === 0) {
+    const error = new Error(`Product with SKU ${sku} not found.`);
+    error.status = 404;
+    throw error;
+  }
+
+  const locationId = movement.locationId || (await defaultLocationId(db));
+  const locationBalance = (await lockLocationBalance(db, locationId, sku)) + Number(quantity);
+  if (!allowNegative && locationBalance < 0) {
+    const error = new Error(`Insufficient stock for SKU ${sku}.`);
+    error.status = 409;
+    throw error;
+  }
+
+  const cost = await costMovement(db, { sku, type, quantity: Number(quantity), unitCost, product: rows[0] });
+  const balance = Number(rows[0].intQty) + Number(quantity);
+  await db.query("UPDATE products SET intQty = ? WHERE sku = ?", [balance, sku]);
+  await db.query(
+    "UPDATE stock_balances SET quantity = ? WHERE location_id = ? AND sku = ?",
+    [locationBalance, locationId, sku]
+  );
+
+  if (Number(quantity) > 0 && lot && lot.lotNumber) {
+    await addToLot(db, { ...lot, sku, locationId, quantity: Number(quantity) });
+  } else if (Number(quantity) < 0 && !lotsAllocated) {
+    await takeFromLots(db, sku, locationId, -Number(quantity));
+  }
+
+  await db.query(
+    `INSERT INTO inventory_movements
+       (sku, location_id, movement_type, quantity, balance_after, location_balance_after, unit_cost, value,
+        reason, reference_type, reference_code, user_id, username)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      sku,
+      locationId,
+      type,
+      quantity,
+      balance,
+      locationBalance,
+      cost.unitCost,
+      cost.value,
+      reason,
+      referenceType,
+      referenceCode,
+      user.id || null,
+      user.username || null,
+    ]
+  );
+
+  return { balance, ...cost };
+}
+
+// Sum the requested quantities per SKU, so a SKU on several lines is checked once
+function totalsBySku(lines) {
+  const totals = new Map();
+  for (const { sku, quantity } of lines) {
+    totals.set(sku, (totals.get(sku) || 0) + Number(quantity));
+  }
+  return totals;
+}
+
+// Take stock out of one location for a set of lines, all or nothing. Every SKU is locked and
+// checked before any is changed, so a failure reports all short SKUs at once. Stock held by
+// active reservations cannot be taken, except by the reservation named in excludeReservation
+// (the one being sold). Returns the cost of the stock taken per SKU. Call inside a transaction.
+async function deductStock(db, lines, options) {
+  const {
+    type = "sale",
+    reason = null,
+    referenceType = null,
+    referenceCode = null,
+    user = {},
+    lotsAllocated = false,
+    excludeReservation = null,
+  } = options;
+  const allowNegative = options.allowNegative ?? allowNegativeStock;
+  const locationId = options.locationId || (await defaultLocationId(db));
+  const totals = totalsBySku(lines);
+  const skus = [...totals.keys()].sort(); // Lock rows in a fixed order to avoid deadlocks
+
+  const [rows] = await db.query(
+    "SELECT sku FROM products WHERE sku IN (?) ORDER BY sku FOR UPDATE",
+    [skus]
+  );
+  const [balances] = await db.query(
+    "SELECT sku, quantity FROM stock_balances WHERE location_id = ? AND sku IN (?) ORDER BY sku FOR UPDATE",
+    [locationId, skus]
+  );
+  const stock = new Map(rows.map((row) => [row.sku, 0]));
+  for (const balance of balances) {
+    if (stock.has(balance.sku)) {
+      stock.set(balance.sku, Number(balance.quantity));
+    }
+  }
+
+  const reserved = allowNegative ? new Map() : await reservedQuantities(db, skus, locationId, excludeReservation);
+
+  const shortages = [];
+  for (const sku of skus) {
+    const requested = totals.get(sku);
+    const available = (stock.get(sku) || 0) - (reserved.get(sku) || 0);
+    if (!stock.has(sku)) {
+      shortages.push({ sku, requested, available: null, reason: "not-found" });
+    } else if (!allowNegative && available < requested) {
+      shortages.push({
+        sku,
+        requested,
+        available: Math.max(available, 0),
+        reserved: reserved.get(sku) || 0,
+        reason: stock.get(sku) >= requested ? "reserved" : "insufficient-stock",
+      });
+    }
+  }
+
+  if (shortages.length > 0) {
+    const error = new Error(`Insufficient stock for SKU ${shortages.map((shortage) => shortage.sku).join(", ")}.`);
+    error.status = 409;
+    error.code = "INSUFFICIENT_STOCK";
+    error.shortages = shortages;
+    throw error;
+  }
+
+  // The cost of what left, per SKU
+  const costs = [];
+  for (const sku of skus) {
+    const { unitCost, value } = await recordStockMovement(db, {
+      sku,
+      type,
+      quantity: -totals.get(sku),
+      reason,
+      referenceType,
+      referenceCode,
+      user,
+      locationId,
+      lotsAllocated,
+    });
+    costs.push({ sku, quantity: totals.get(sku), unitCost, value: -value });
+  }
+  return costs;
+}
+
+module.exports = { allowNegativeStock, movementTypes, defaultLocationId, recordStockMovement, deductStock };
@@ -0,0 +1,187 @@
+const { recordStockMovement } = require("./stock.cjs");
+
+// Build an error carrying an HTTP status and optional details for the route to return
+function stocktakeError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+// Lock a stocktake, failing unless it is still open for counting
+async function lockOpenStocktake(db, code) {
+  const [[stocktake]] = await db.query("SELECT * FROM stocktakes WHERE code = ? FOR UPDATE", [code]);
+  if (!stocktake) {
+    throw stocktakeError(404, `Stocktake ${code} not found.`);
+  }
+  if (stocktake.status !== "open") {
+    throw stocktakeError(409, `Stocktake ${code} is already ${stocktake.status}.`, { code: "INVALID_STATUS" });
+  }
+  return stocktake;
+}
+
+// Start a stocktake, freezing the expected quantity and cost of every active product
+// at the location (optionally only one category). Call inside a transaction.
+async function startStocktake(db, { code, locationId, category, notes, user }) {
+  await db.query(
+    "INSERT INTO stocktakes (code, location_id, category, notes, created_by) VALUES (?, ?, ?, ?, ?)",
+    [code, locationId, category || null, notes || null, user.id || null]
+  );
+
+  const [result] = await db.query(
+    `INSERT INTO stocktake_lines (stocktake_code, sku, expected_qty, unit_cost)
+     SELECT ?, p.sku, COALESCE(b.quantity, 0), COALESCE(p.avg_cost, p.cost, 0)
+     FROM products p
+     LEFT JOIN stock_balances b ON b.sku = p.sku AND b.location_id = ?
+     WHERE p.archived_at IS NULL ${category ? "AND p.category = ?" : ""}`,
+    category ? [code, locationId, category] : [code, locationId]
+  );
+
+  return { code, locationId, category: category || null, lines: result.affectedRows };
+}
+
+// Add counted quantities to an open stocktake. Counts are added to what other devices have
+// already counted; a negative count corrects an earlier one. Products missing from the
+// snapshot are added with an expected quantity of zero. Call inside a transaction.
+async function recordCounts(db, code, counts, { device, user }) {
+  await lockOpenStocktake(db, code);
+
+  const problems = [];
+  for (const { sku, quantity } of counts) {
+    const [[line]] = await db.query(
+      "SELECT counted_qty FROM stocktake_lines WHERE stocktake_code = ? AND sku = ? FOR UPDATE",
+      [code, sku]
+    );
+
+    if (!line) {
+      const [[product]] = await db.query("SELECT cost, avg_cost FROM products WHERE sku = ?", [sku]);
+      if (!product) {
+        problems.push({ sku, reason: "not-found" });
+        continue;
+      }
+      await db.query(
+        "INSERT INTO stocktake_lines (stocktake_code, sku, expected_qty, unit_cost) VALUES (?, ?, 0, ?)",
+        [code, sku, product.avg_cost ?? product.cost ?? 0]
+      );
+    }
+
+    const counted = Number(line ? line.counted_qty || 0 : 0) + Number(quantity);
+    if (counted < 0) {
+      problems.push({ sku, reason: "negative-count", counted });
+      continue;
+    }
+
+    await db.query(
+      "UPDATE stocktake_lines SET counted_qty = ? WHERE stocktake_code = ? AND sku = ?",
+      [counted, code, sku]
+    );
+    await db.query(
+      "INSERT INTO stocktake_counts (stocktake_code, sku, quantity, device, user_id) VALUES (?, ?, ?, ?, ?)",
+      [code, sku, quantity, device || null, user.id || null]
+    );
+  }
+
+  // Nothing is kept if any count was rejected, so a device can resend the whole batch
+  if (problems.length > 0) {
+    throw stocktakeError(409, "Some counts were rejected.", { code: "COUNTS_REJECTED", problems });
+  }
+}
+
+// Compare counted with expected quantities. Uncounted lines are left out unless
+// uncountedAsZero is set, in which case they count as nothing found on the shelf.
+async function varianceReport(db, code, { uncountedAsZero = false } = {}) {
+  const [[stocktake]] = await db.query("SELECT * FROM stocktakes WHERE code = ?", [code]);
+  if (!stocktake) {
+    throw stocktakeError(404, `Stocktake ${code} not found.`);
+  }
+
+  const [rows] = await db.query(
+    `SELECT l.sku, p.productName, l.expected_qty, l.counted_qty, CAST(l.unit_cost AS DOUBLE) AS unit_cost,
+       l.posted_variance
+     FROM stocktake_lines l
+     LEFT JOIN products p ON p.sku = l.sku
+     WHERE l.stocktake_code = ?
+     ORDER BY l.sku`,
+    [code]
+  );
+
+  const lines = rows.map((row) => {
+    const counted = row.counted_qty === null ? (uncountedAsZero ? 0 : null) : Number(row.counted_qty);
+    const variance = counted === null ? null : counted - Number(row.expected_qty);
+    return {
+      ...row,
+      counted_qty: counted,
+      variance,
+      value_impact: variance === null ? null : Math.round(variance * row.unit_cost * 100) / 100,
+    };
+  });
+
+  const counted = lines.filter((line) => line.variance !== null);
+  return {
+    stocktake,
+    lines,
+    summary: {
+      lines: lines.length,
+      counted: counted.length,
+      uncounted: lines.length - counted.length,
+      withVariance: counted.filter((line) => line.variance !== 0).length,
+      unitsOver: counted.reduce((sum, line) => sum + Math.max(line.variance, 0), 0),
+      unitsShort: counted.reduce((sum, line) => sum + Math.max(-line.variance, 0), 0),
+      valueImpact: Math.round(counted.reduce((sum, line) => sum + line.value_impact, 0) * 100) / 100,
+    },
+  };
+}
+
+// Post the variances of an open stocktake as "stocktake" movements and close it.
+// Only the given SKUs are posted when skus is set. Call inside a transaction.
+async function postStocktake(db, code, { skus, uncountedAsZero = false, user }) {
+  const stocktake = await lockOpenStocktake(db, code);
+  const report = await varianceReport(db, code, { uncountedAsZero });
+
+  const approved = report.lines.filter(
+    (line) => line.variance !== null && line.variance !== 0 && (!skus || skus.includes(line.sku))
+  );
+
+  for (const line of approved) {
+    await recordStockMovement(db, {
+      sku: line.sku,
+      type: "stocktake",
+      quantity: line.variance,
+      reason: `Stocktake ${code}`,
+      referenceType: "stocktake",
+      referenceCode: code,
+      user,
+      locationId: stocktake.location_id,
+      unitCost: line.unit_cost, // Stock found is valued at the snapshot cost
+    });
+    await db.query(
+      "UPDATE stocktake_lines SET posted_variance = ? WHERE stocktake_code = ? AND sku = ?",
+      [line.variance, code, line.sku]
+    );
+  }
+
+  await db.query(
+    "UPDATE stocktakes SET status = 'posted', posted_by = ?, posted_at = NOW() WHERE code = ?",
+    [user.id || null, code]
+  );
+
+  return {
+    posted: approved.map(({ sku, variance, value_impact }) => ({ sku, variance, value_impact })),
+    valueImpact: Math.round(approved.reduce((sum, line) => sum + line.value_impact, 0) * 100) / 100,
+  };
+}
+
+// Cancel an open stocktake without touching stock. Call inside a transaction.
+async function cancelStocktake(db, code) {
+  await lockOpenStocktake(db, code);
+  await db.query("UPDATE stocktakes SET status = 'cancelled' WHERE code = ?", [code]);
+}
+
+module.exports = {
+  stocktakeError,
+  startStocktake,
+  recordCounts,
+  varianceReport,
+  postStocktake,
+  cancelStocktake,
+};
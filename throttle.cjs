@@ -0,0 +1,110 @@
+// Failed login tracking per username (stored on the users row) and per IP (kept in memory)
+const maxFailedLogins = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+const maxFailedLoginsPerIp = parseInt(process.env.MAX_FAILED_LOGINS_PER_IP, 10) || 20;
+const lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const maxDelaySeconds = 30;
+
+const ipFailures = new Map();
+
+// Seconds a client has to wait after the given number of consecutive failures
+function delayAfterFailures(failures) {
+  if (failures <= 0) {
+    return 0;
+  }
+
+  return Math.min(2 ** (failures - 1), maxDelaySeconds);
+}
+
+// Seconds left until a point in time, rounded up
+function secondsUntil(date) {
+  return Math.max(0, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+// Seconds the IP has to wait before it may try to log in again
+function ipRetryAfter(ip) {
+  const entry = ipFailures.get(ip);
+
+  if (!entry) {
+    return 0;
+  }
+
+  if (entry.lockedUntil) {
+    return secondsUntil(entry.lockedUntil);
+  }
+
+  return secondsUntil(entry.lastFailureAt + delayAfterFailures(entry.failures) * 1000);
+}
+
+// Record a failed login from an IP, locking it out after too many failures
+function recordIpFailure(ip) {
+  const now = Date.now();
+  const windowMs = lockoutMinutes * 60 * 1000;
+
+  // Forget IPs that have been quiet for a full lockout window
+  for (const [key, entry] of ipFailures) {
+    if (now - entry.lastFailureAt > windowMs) {
+      ipFailures.delete(key);
+    }
+  }
+
+  const entry = ipFailures.get(ip) || { failures: 0, lastFailureAt: now, lockedUntil: null };
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+  entry.lockedUntil = entry.failures >= maxFailedLoginsPerIp ? now + windowMs : null;
+  ipFailures.set(ip, entry);
+}
+
+// Seconds the user has to wait before the next attempt, and whether that is a lockout
+function userRetryAfter(user) {
+  if (user.locked_until && secondsUntil(user.locked_until) > 0) {
+    return { locked: true, retryAfter: secondsUntil(user.locked_until) };
+  }
+
+  if (!user.last_failed_login_at) {
+    return { locked: false, retryAfter: 0 };
+  }
+
+  const nextAttemptAt =
+    new Date(user.last_failed_login_at).getTime() +
+    delayAfterFailures(user.failed_login_attempts) * 1000;
+  return { locked: false, retryAfter: secondsUntil(nextAttemptAt) };
+}
+
+// Record a failed login for a user, locking the account after too many failures. The counter is
+// incremented in SQL so parallel attempts cannot all start from the same count. Both timestamps
+// come from the server clock, which userRetryAfter compares them with. Returns the lockout end,
+// or null if the account is not locked.
+async function recordUserFailure(db, user) {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+
+  // locked_until is set first, so it sees the count from before this failure; a lockout still
+  // running is kept, so a parallel attempt cannot clear it
+  await db.query(
+    `UPDATE users
+     SET locked_until = IF(failed_login_attempts + 1 >= ?, ?, IF(locked_until > ?, locked_until, NULL)),
+       failed_login_attempts = IF(failed_login_attempts + 1 >= ?, 0, failed_login_attempts + 1),
+       last_failed_login_at = ?
+     WHERE id = ?`,
+    [maxFailedLogins, lockedUntil, now, maxFailedLogins, now, user.id]
+  );
+
+  const [[row]] = await db.query("SELECT locked_until FROM users WHERE id = ?", [user.id]);
+  return row && row.locked_until && new Date(row.locked_until) > now ? row.locked_until : null;
+}
+
+// Reset the failed login counter and any lockout for a user
+async function clearUserFailures(db, userId) {
+  await db.query(
+    "UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?",
+    [userId]
+  );
+}
+
+module.exports = {
+  ipRetryAfter,
+  recordIpFailure,
+  userRetryAfter,
+  recordUserFailure,
+  clearUserFailures,
+};
@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+
+const base32Alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const stepSeconds = 30;
+const codeDigits = 6;
+const issuer = process.env.TOTP_ISSUER || "RetailFlow";
+const backupCodeCount = 10;
+
+// Encode bytes as unpadded base32, the format authenticator apps expect
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += base32Alphabet[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+}
+
+// Decode an unpadded base32 string back into bytes
+function base32Decode(text) {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const value = base32Alphabet.indexOf(char);
+    if (value === -1) {
+      throw new Error("Invalid base32 character.");
+    }
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// Generate a new random TOTP secret
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// Build the otpauth:// URI that authenticator apps read from a QR code
+function buildOtpauthUri(secret, username) {
+  const label = encodeURIComponent(`${issuer}:${username}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${codeDigits}&period=${stepSeconds}`;
+}
+
+// Compute the code for a time step (RFC 6238 with HMAC-SHA1)
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** codeDigits).padStart(codeDigits, "0");
+}
+
+// Check a code against the current step and one step either side for clock drift.
+// Returns the matched step, or null; steps at or before lastStep are refused so a code cannot be replayed.
+function verifyTotp(secret, code, lastStep = null) {
+  if (!secret || !/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / stepSeconds);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (lastStep !== null && step <= lastStep) {
+      continue;
+    }
+    if (codeForStep(secret, step) === String(code)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// Record a verified step as the user's last one, returning false if a concurrent login already used
+// it (or a later step), so a code is accepted only once
+async function claimTotpStep(db, userId, step) {
+  const [result] = await db.query(
+    "UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)",
+    [step, userId, step]
+  );
+  return result.affectedRows === 1;
+}
+
+// Replace a user's backup codes, returning the new plain codes to show once
+async function regenerateBackupCodes(db, userId) {
+  const codes = Array.from({ length: backupCodeCount }, () =>
+    crypto.randomBytes(5).toString("hex")
+  );
+
+  await db.query("DELETE FROM user_backup_codes WHERE user_id = ?", [userId]);
+  for (const code of codes) {
+    const codeHash = await bcrypt.hash(code, 10);
+    await db.query("INSERT INTO user_backup_codes (user_id, code_hash) VALUES (?, ?)", [
+      userId,
+      codeHash,
+    ]);
+  }
+
+  return codes;
+}
+
+// Use up one of the user's backup codes, returning false if none matches
+async function consumeBackupCode(db, userId, code) {
+  const [rows] = await db.query(
+    "SELECT id, code_hash FROM user_backup_codes WHERE user_id = ? AND used_at IS NULL",
+    [userId]
+  );
+
+  const normalized = String(code).trim().toLowerCase();
+  for (const row of rows) {
+    if (await bcrypt.compare(normalized, row.code_hash)) {
+      // Only the request that marks the code used gets to use it
+      const [result] = await db.query(
+        "UPDATE user_backup_codes SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+        [row.id]
+      );
+      return result.affectedRows === 1;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  generateSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  claimTotpStep,
+  regenerateBackupCodes,
+  consumeBackupCode,
+};
@@ -0,0 +1,21 @@
+// Run fn inside a transaction on a connection of its own taken from the pool, committing when it
+// resolves and rolling back when it throws. Locks taken with FOR UPDATE are held by that connection,
+// so they block other requests until the transaction ends.
+async function withTransaction(pool, fn) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    try {
+      const result = await fn(connection);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = { withTransaction };